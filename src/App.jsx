@@ -1,336 +1,145 @@
-import React, { useMemo, useState } from 'react'
-import {
-  buildPlayers,
-  splitIntoGroups,
-  buildGroupPairings,
-  buildGlobalSchedule,
-  toCSVWithOff
-} from './scheduler.js'
+import React, { useCallback, useEffect, useState } from 'react'
+import TournamentView from './TournamentView.jsx'
+import Library from './Library.jsx'
+import { createEntry, defaultTournament, emptyLibrary, loadLibrary, saveLibrary } from './storage.js'
+import { nextStage, stagesOf } from './stages.js'
+
+// A duplicate keeps players and settings but starts with no schedule or results,
+// as a stand-alone tournament outside any multi-stage event.
+function templateFrom(tournament) {
+  const fresh = defaultTournament()
+  return {
+    ...tournament,
+    name: `${tournament.name} (copy)`,
+    status: fresh.status,
+    archived: false,
+    swissRounds: fresh.swissRounds,
+    results: fresh.results,
+    generated: fresh.generated,
+    withdrawals: fresh.withdrawals,
+    stage: fresh.stage,
+    seedFrom: fresh.seedFrom,
+    ranking: fresh.ranking
+  }
+}
 
 export default function App() {
-  const [numPlayers, setNumPlayers] = useState(8)
-  const [numGroups, setNumGroups] = useState(2)
-  const [numBoards, setNumBoards] = useState(3)
-  const [numRounds, setNumRounds] = useState(6)
-  const [namesText, setNamesText] = useState(buildPlayers(8).join(', '))
-
-  // Players from the input; auto-fill P1..Pn for any missing names
-  const players = useMemo(() => {
-    const entered = namesText.split(/[\n,]+/).map(s => s.trim()).filter(Boolean)
-    const count = Math.max(0, Number(numPlayers) || 0)
-    const out = [...entered]
-    for (let i = entered.length; i < count; i++) out.push(`P${i + 1}`)
-    return out.slice(0, count)
-  }, [namesText, numPlayers])
-
-  const groups = useMemo(() => splitIntoGroups(players, numGroups), [players, numGroups])
-  const groupRounds = useMemo(() => buildGroupPairings(groups), [groups])
-  const rawSchedule = useMemo(
-    () => buildGlobalSchedule(groupRounds, numBoards, numRounds),
-    [groupRounds, numBoards, numRounds]
-  )
-
-  // ---- Board Rebalance Layer (App.jsx only; no changes to scheduler.js) ----
-  // Heuristic: For each round, if a player has the same board as the previous round,
-  // try swapping board numbers with another match in the SAME round that reduces
-  // conflicts for BOTH matches' players. Repeat a few times per round.
-  function rebalanceBoards(schedule) {
-    const rounds = schedule.map(r => r.map(m => ({ ...m })))
-    const lastBoard = {} // player -> board used in previous round
-
-    for (let r = 0; r < rounds.length; r++) {
-      const matches = rounds[r]
-      const conflictForMatch = (m) => {
-        let c = 0
-        if (lastBoard[m.A] === m.board) c++
-        if (lastBoard[m.B] === m.board) c++
-        return c
-      }
-
-      let improved = true
-      let guard = 0
-      while (improved && guard < 10) {
-        improved = false
-        guard++
-        for (let i = 0; i < matches.length; i++) {
-          for (let j = i + 1; j < matches.length; j++) {
-            const m1 = matches[i], m2 = matches[j]
-            const before = conflictForMatch(m1) + conflictForMatch(m2)
-
-            const b1 = m1.board, b2 = m2.board
-            m1.board = b2
-            m2.board = b1
-            const after = conflictForMatch(m1) + conflictForMatch(m2)
-
-            if (after < before) {
-              improved = true
-            } else {
-              m1.board = b1
-              m2.board = b2
-            }
-          }
-        }
-      }
-
-      for (const m of matches) {
-        lastBoard[m.A] = m.board
-        lastBoard[m.B] = m.board
-      }
+  const [saved] = useState(loadLibrary)
+  const [library, setLibrary] = useState(() => (saved ? saved.library : emptyLibrary()))
+  // With a saved library, start on the library screen and offer to resume.
+  const [view, setView] = useState(saved ? 'library' : 'event')
+  const [resumeOffer, setResumeOffer] = useState(() => (saved?.library.activeId ? saved : null))
+
+  // Cleared by the next save that succeeds.
+  const [saveFailed, setSaveFailed] = useState(false)
+  useEffect(() => { setSaveFailed(!saveLibrary(library)) }, [library])
+
+  const setTournament = useCallback((value) => setLibrary(lib => {
+    const entry = lib.tournaments[lib.activeId]
+    if (!entry) return lib
+    const next = typeof value === 'function' ? value(entry.tournament) : value
+    if (next === entry.tournament) return lib
+    return {
+      ...lib,
+      tournaments: { ...lib.tournaments, [lib.activeId]: { ...entry, tournament: next, updatedAt: new Date().toISOString() } }
     }
-    return rounds
-  }
+  }), [])
 
-  // The schedule used for UI, CSV, and totals:
-  const schedule = useMemo(() => rebalanceBoards(rawSchedule), [rawSchedule])
+  const addEntry = (entry) => {
+    setLibrary(lib => ({ activeId: entry.id, tournaments: { ...lib.tournaments, [entry.id]: entry } }))
+    setView('event')
+    setResumeOffer(null)
+  }
 
-  // Player → Group mapping
-  const playerGroupMap = useMemo(() => {
-    const m = {}
-    groups.forEach((g, gi) => g.forEach(p => (m[p] = gi + 1)))
-    return m
-  }, [groups])
+  const openTournament = (id) => {
+    setLibrary(lib => ({ ...lib, activeId: id }))
+    setView('event')
+    setResumeOffer(null)
+  }
 
-  // Explicit totals: count a game if player appears in A or B for that round
-  const totals = useMemo(() => {
-    const counts = Object.fromEntries(players.map(p => [p, 0]))
-    schedule.forEach((roundMatches) => {
-      const playing = new Set()
-      roundMatches.forEach(m => { playing.add(m.A); playing.add(m.B) })
-      playing.forEach(p => { if (p in counts) counts[p] += 1 })
+  const createTournament = (details) => addEntry(createEntry({ ...defaultTournament(), ...details }))
+
+  const duplicateTournament = (id) => addEntry(createEntry(templateFrom(library.tournaments[id].tournament)))
+
+  // The first "next stage" turns a single tournament into stage 1 of an event.
+  const addStage = (id) => {
+    const from = library.tournaments[id].tournament
+    const eventId = from.stage?.eventId || id
+    const siblings = stagesOf(Object.values(library.tournaments), eventId)
+    const index = siblings.length ? Math.max(...siblings.map(e => e.tournament.stage.index)) + 1 : 2
+    const entry = createEntry(nextStage(from, id, eventId, index))
+    setLibrary(lib => {
+      const source = lib.tournaments[id]
+      const tournaments = { ...lib.tournaments, [entry.id]: entry }
+      if (!source.tournament.stage) {
+        tournaments[id] = { ...source, tournament: { ...source.tournament, stage: { eventId, index: 1, label: 'Stage 1' } } }
+      }
+      return { activeId: entry.id, tournaments }
     })
-    return counts
-  }, [players, schedule])
-
-  const downloadCSV = () => {
-    const csv = toCSVWithOff(players, playerGroupMap, schedule)
-    const blob = new Blob([csv], { type: 'text/csv' })
-    const a = document.createElement('a')
-    a.href = URL.createObjectURL(blob)
-    a.download = 'schedule.csv'
-    a.click()
+    setView('event')
+    setResumeOffer(null)
   }
 
-  // Assets (place in /public)
-  const logoPath = '/scorecard-logo.png'
-  const IMG_MATCHBLANK = '/Square_Without_Text.png'    // for Match cells & Total (non-BYE)
-  const IMG_POINTS20S = '/Square_With_Text.png'        // for the Points/20s column
-
-  const tournamentTitle = 'Games on Tap — Crokinole Singles'
-  const tournamentSub = 'Louisville, KY • Nov 1, 2025'
-
-  // ===================== PRINT LAYOUT: 2 CARDS PER PAGE =====================
-  const printStyles = `
-@page {
-  size: Letter portrait;
-  margin: 0.5in; /* standard US Letter margins */
-}
-@media print {
-  body { -webkit-print-color-adjust: exact !important; print-color-adjust: exact !important; background:#fff !important; }
-  .no-print { display: none !important; }
-  .score-grid {
-    display: grid !important;
-    grid-template-columns: 1fr !important;
-    gap: 0.4in !important;
-  }
-  .scorecard {
-    break-inside: avoid !important;
-    page-break-inside: avoid !important;
-    border: 1px solid #e5e7eb !important;
-    height: 4.8in !important; /* 2 per page */
-    box-sizing: border-box !important;
+  const toggleArchived = (id) => setLibrary(lib => {
+    const entry = lib.tournaments[id]
+    const tournament = { ...entry.tournament, archived: !entry.tournament.archived }
+    return { ...lib, tournaments: { ...lib.tournaments, [id]: { ...entry, tournament } } }
+  })
+
+  const deleteTournament = (id) => {
+    const name = library.tournaments[id]?.tournament.name
+    if (!window.confirm(`Delete "${name}"? Its schedule and results cannot be recovered.`)) return
+    setLibrary(lib => {
+      const tournaments = { ...lib.tournaments }
+      delete tournaments[id]
+      return { activeId: lib.activeId === id ? null : lib.activeId, tournaments }
+    })
+    if (resumeOffer?.library.activeId === id) setResumeOffer(null)
   }
-  .scorecard .card-header { padding: 8px !important; gap: 8px !important; }
-  .scorecard table { font-size: 12px !important; }
-  .scorecard:nth-of-type(2n) { break-after: page !important; page-break-after: always !important; }
-}
-`
-
-  // ==== Cell Styles ====
-  const squareCell = { border:'1px solid #e5e7eb', padding:'0 6px', width:40, height:40, lineHeight:'40px', textAlign:'center', verticalAlign:'middle', boxSizing:'border-box' }
-  const squareCellOffRow = { ...squareCell, background:'#000', color:'#fff' }
-  const squareWithImage = (img) => ({ ...squareCell, backgroundImage:`url(${img})`, backgroundSize:'cover', backgroundRepeat:'no-repeat', backgroundPosition:'center' })
 
-  const flexCell = { border:'1px solid #e5e7eb', padding:'6px 8px', height:40, lineHeight:'40px', textAlign:'center', verticalAlign:'middle' }
-  const flexCellLeft = { ...flexCell, textAlign:'left' }
-  const flexCellOffRow = { ...flexCell, background:'#000', color:'#fff' }
-  const flexCellLeftOffRow = { ...flexCellLeft, background:'#000', color:'#fff' }
+  const active = library.tournaments[library.activeId]
 
-  const headerCell = { border:'1px solid #e5e7eb', background:'#f3f4f6', padding:'6px 8px', textAlign:'center', fontWeight:700, fontSize:13, lineHeight:'16px', whiteSpace:'nowrap', height:'auto', verticalAlign:'middle' }
-
-  // Column widths (Points column restored)
-  const W = { game:60, table:70, opponent:200, points:40, match:40, total:40, oppInit:40 }
-
-  const TwoLineHeader = ({ top, bottom }) => (
-    <div style={{ display:'flex', flexDirection:'column', alignItems:'center', lineHeight:'14px' }}>
-      <span>{top}</span>
-      <span>{bottom}</span>
+  const notSaved = saveFailed && (
+    <div className="no-print" style={{ position:'sticky', top:0, zIndex:10, background:'#fef2f2', borderBottom:'1px solid #f87171', color:'#7f1d1d', padding:'8px 16px', fontSize:13, textAlign:'center' }}>
+      <strong>Not saved.</strong> The browser's storage is full or unavailable, so the latest changes will be lost on reload.
+      {' '}Export the tournament to keep a copy, or delete tournaments you no longer need.
     </div>
   )
 
-  return (
-    <div style={{ maxWidth:1200, margin:'24px auto', padding:'0 16px' }}>
-      <style>{printStyles}</style>
-
-      <h1 className="no-print">Crokinole Round-Robin Scheduler</h1>
-
-      {/* Controls */}
-      <div className="no-print" style={{ display:'grid', gridTemplateColumns:'380px 1fr', gap:16, alignItems:'start', marginBottom:16 }}>
-        <div style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12 }}>
-          <div style={{ fontWeight:600, marginBottom:8 }}>Tournament Settings</div>
-
-          <label style={{ display:'block', marginBottom:8 }}>Players
-            <input type="number" step="1" min="0" value={numPlayers} onChange={e=>setNumPlayers(e.target.value)} style={{ width:'100%', marginTop:4 }} />
-          </label>
-          <label style={{ display:'block', marginBottom:8 }}>Groups
-            <input type="number" step="1" min="1" value={numGroups} onChange={e=>setNumGroups(e.target.value)} style={{ width:'100%', marginTop:4 }} />
-          </label>
-          <label style={{ display:'block', marginBottom:8 }}>Boards
-            <input type="number" step="1" min="1" value={numBoards} onChange={e=>setNumBoards(e.target.value)} style={{ width:'100%', marginTop:4 }} />
-          </label>
-          <label style={{ display:'block', marginBottom:8 }}>Rounds
-            <input type="number" step="1" min="1" value={numRounds} onChange={e=>setNumRounds(e.target.value)} style={{ width:'100%', marginTop:4 }} />
-          </label>
-
-          <button onClick={downloadCSV} style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background:'#15803d', color:'#fff', cursor:'pointer' }}>
-            Download CSV (with OFF)
-          </button>
-          <button onClick={()=>window.print()} className="no-print" style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background:'#0f172a', color:'#fff', cursor:'pointer' }}>
-            Print Scorecards
-          </button>
-        </div>
-
-        {/* Player Names */}
-        <div style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12 }}>
-          <div style={{ display:'grid', gridTemplateColumns:'1fr 220px', gap:12 }}>
-            <div>
-              <div style={{ fontWeight:600, marginBottom:8 }}>Player Names (comma or newline)</div>
-              <textarea value={namesText} onChange={e=>setNamesText(e.target.value)} style={{ width:'100%', minHeight:180, fontFamily:'inherit', border:'1px solid #e5e7eb', borderRadius:6, padding:8 }} />
-              <div style={{ marginTop:8, fontSize:12, color:'#64748b' }}>Missing names auto-fill as P1, P2…</div>
-            </div>
-            <div>
-              <div style={{ fontWeight:600, marginBottom:8 }}>Quick Fill</div>
-              <button onClick={()=>setNamesText(buildPlayers(Number(numPlayers)||0).join(', '))} style={{ width:'100%', padding:'10px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
-                Prefill P1…P{numPlayers}
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-
-      {/* Scorecards */}
-      <h2 className="no-print">Scorecards</h2>
-      <div className="score-grid" style={{ display:'grid', gridTemplateColumns:'repeat(2, 1fr)', gap:16 }}>
-        {players.map(pName => (
-          <div key={pName} className="scorecard" style={{ border:'1px solid #e5e7eb', borderRadius:8, background:'white' }}>
-            <div className="card-header" style={{ display:'flex', alignItems:'center', gap:12, padding:12, borderBottom:'1px solid #e5e7eb' }}>
-              <img src={logoPath} alt="Logo" style={{ height:36 }} />
-              <div style={{ flex:1 }}>
-                <div style={{ fontWeight:700 }}>{tournamentTitle}</div>
-                <div style={{ fontSize:12, color:'#64748b' }}>{tournamentSub}</div>
-                <div style={{ marginTop:6, fontSize:14 }}><strong>Player:</strong> {pName}</div>
-              </div>
-              <div style={{ color:'#64748b', fontSize:12 }}>Group {playerGroupMap[pName] || ''}</div>
-            </div>
-
-            <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13, tableLayout:'fixed' }}>
-              <thead>
-                <tr>
-                  <th style={{ ...headerCell, width: W.game }}>Game #</th>
-                  <th style={{ ...headerCell, width: W.table }}>Table #</th>
-                  <th style={{ ...headerCell, width: W.opponent }}>Opponent</th>
-
-                  {/* Points/20s column (header intentionally blank to match prior design) */}
-                  <th style={{ ...headerCell, width: W.points }}></th>
-
-                  {['1','2','3','4'].map(num => (
-                    <th key={num} style={{ ...headerCell, width: W.match, padding:'4px 6px' }}>
-                      <TwoLineHeader top="Match" bottom={num} />
-                    </th>
-                  ))}
-                  <th style={{ ...headerCell, width: W.total }}>Total</th>
-                  <th style={{ ...headerCell, width: W.oppInit, padding:'4px 6px' }}>
-                    <TwoLineHeader top="Opp" bottom="Initials" />
-                  </th>
-                </tr>
-              </thead>
-              <tbody>
-                {schedule.map((round, idx) => {
-                  const m = round.find(x => x.A === pName || x.B === pName)
-                  const isOff = !m
-                  const opp = isOff ? '' : (m.A === pName ? m.B : m.A)
-                  const table = isOff ? 'OFF' : m.board
-                  return (
-                    <tr key={idx}>
-                      <td style={isOff ? flexCellOffRow : flexCell}>{idx+1}</td>
-                      <td style={isOff ? flexCellOffRow : flexCell}>{table}</td>
-                      <td style={isOff ? flexCellLeftOffRow : flexCellLeft}>{opp}</td>
-
-                      {/* Points/20s image (or blacked out on OFF) */}
-                      <td style={isOff ? squareCellOffRow : squareWithImage(IMG_POINTS20S)}></td>
-
-                      {[0,1,2,3].map(i => (
-                        <td key={i} style={isOff ? squareCellOffRow : squareWithImage(IMG_MATCHBLANK)}></td>
-                      ))}
-                      <td style={isOff ? squareCellOffRow : squareWithImage(IMG_MATCHBLANK)}></td>
-                      <td style={isOff ? squareCellOffRow : squareCell}></td>
-                    </tr>
-                  )
-                })}
-              </tbody>
-            </table>
-          </div>
-        ))}
-      </div>
-
-      {/* Match Overview (non-print) */}
-      <h2 className="no-print" style={{ marginTop:24 }}>Match Overview</h2>
-      <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, overflow:'hidden' }}>
-        <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13 }}>
-          <thead>
-            <tr style={{ background:'#f3f4f6' }}>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Round</th>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Board</th>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Group</th>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Player A</th>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Player B</th>
-            </tr>
-          </thead>
-          <tbody>
-            {schedule.flat().sort((a,b)=> a.round - b.round || a.board - b.board).map((m,i)=>(
-              <tr key={i}>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.round}</td>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.board}</td>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.group ?? ''}</td>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.A}</td>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.B}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
+  if (view === 'event' && active) {
+    return (
+      <>
+        {notSaved}
+        <TournamentView
+          key={active.id}
+          entryId={active.id}
+          tournament={active.tournament}
+          setTournament={setTournament}
+          onOpenLibrary={() => setView('library')}
+          stages={stagesOf(Object.values(library.tournaments), active.tournament.stage?.eventId)}
+          seedSource={library.tournaments[active.tournament.seedFrom?.entryId] || null}
+          onOpenStage={openTournament}
+          onAddStage={() => addStage(active.id)}
+        />
+      </>
+    )
+  }
 
-      {/* Totals (non-print) */}
-      <h2 className="no-print" style={{ marginTop:24 }}>Player Game Totals</h2>
-      <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, overflow:'hidden' }}>
-        <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13 }}>
-          <thead>
-            <tr style={{ background: '#f3f4f6' }}>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Player</th>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Group</th>
-              <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Games Scheduled</th>
-            </tr>
-          </thead>
-          <tbody>
-            {[...players].sort((a,b)=> (playerGroupMap[a]||0)-(playerGroupMap[b]||0)).map(p => (
-              <tr key={p}>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{p}</td>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{playerGroupMap[p]}</td>
-                <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{totals[p] ?? 0}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-    </div>
+  return (
+    <>
+      {notSaved}
+      <Library
+        entries={Object.values(library.tournaments)}
+        activeId={library.activeId}
+        resume={resumeOffer && active ? { entry: active, savedAt: resumeOffer.savedAt } : null}
+        onDismissResume={() => setResumeOffer(null)}
+        onOpen={openTournament}
+        onCreate={createTournament}
+        onImport={(tournament) => addEntry(createEntry(tournament))}
+        onDuplicate={duplicateTournament}
+        onToggleArchived={toggleArchived}
+        onDelete={deleteTournament}
+      />
+    </>
   )
-}
\ No newline at end of file
+}
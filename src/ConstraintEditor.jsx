@@ -0,0 +1,96 @@
+import React, { useState } from 'react'
+import { CONSTRAINT_KINDS } from './scheduler.js'
+
+const cell = { border:'1px solid #e5e7eb', padding:2 }
+const cellInput = { width:'100%', boxSizing:'border-box', border:0, padding:'4px 6px', background:'transparent', font:'inherit' }
+const iconButton = { padding:'0 6px', border:'1px solid #cbd5e1', borderRadius:4, background:'#fff', cursor:'pointer' }
+
+// Pairing constraints between two roster players: never pair, not before round N,
+// avoid the same group, or must play each other. `violations` comes from
+// checkConstraints and is shown next to the rule it belongs to.
+export default function ConstraintEditor({ roster, nameOf, constraints, violations, onChange }) {
+  const [clubRound, setClubRound] = useState(3)
+
+  const update = (i, patch) => onChange(constraints.map((c, k) => (k === i ? { ...c, ...patch } : c)))
+  const remove = (i) => onChange(constraints.filter((_, k) => k !== i))
+  const add = () => onChange([...constraints, { kind: 'never', a: roster[0]?.id || '', b: roster[1]?.id || '', round: 2 }])
+
+  // Club rule: clubmates may not meet before round N (replaces earlier club rules).
+  const separateClubmates = () => {
+    const rules = []
+    roster.forEach((p, i) => roster.slice(i + 1).forEach(q => {
+      const club = (p.club || '').trim().toLowerCase()
+      if (club && club === (q.club || '').trim().toLowerCase()) {
+        rules.push({ kind: 'notBefore', a: p.id, b: q.id, round: Number(clubRound) || 2, club: true })
+      }
+    }))
+    onChange([...constraints.filter(c => !c.club), ...rules])
+  }
+
+  // Violations carry the index of the rule they were checked from.
+  const problemsFor = (i) => violations.filter(v => v.constraint.index === i)
+
+  return (
+    <div>
+      {constraints.length > 0 && (
+        <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13, tableLayout:'fixed' }}>
+          <thead>
+            <tr style={{ background:'#f3f4f6' }}>
+              <th style={{ ...cell, width:170 }}>Rule</th>
+              <th style={cell}>Player</th>
+              <th style={cell}>Player</th>
+              <th style={{ ...cell, width:70 }}>Round</th>
+              <th style={{ ...cell, width:40 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {constraints.map((c, i) => {
+              const problems = problemsFor(i)
+              return (
+                <React.Fragment key={i}>
+                  <tr style={problems.length ? { background:'#fef2f2' } : undefined}>
+                    <td style={cell}>
+                      <select value={c.kind} onChange={e=>update(i, { kind: e.target.value })} style={cellInput}>
+                        {CONSTRAINT_KINDS.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+                      </select>
+                    </td>
+                    {['a', 'b'].map(side => (
+                      <td key={side} style={cell}>
+                        <select value={c[side]} onChange={e=>update(i, { [side]: e.target.value })} style={cellInput}>
+                          <option value="">—</option>
+                          {roster.map(p => <option key={p.id} value={p.id}>{nameOf(p.id)}</option>)}
+                        </select>
+                      </td>
+                    ))}
+                    <td style={cell}>
+                      {c.kind === 'notBefore' && (
+                        <input type="number" step="1" min="2" value={c.round} onChange={e=>update(i, { round: e.target.value })} style={cellInput} />
+                      )}
+                    </td>
+                    <td style={{ ...cell, textAlign:'center' }}>
+                      <button onClick={()=>remove(i)} style={{ ...iconButton, color:'#b91c1c' }} title="Remove rule">✕</button>
+                    </td>
+                  </tr>
+                  {problems.map((v, k) => (
+                    <tr key={k}>
+                      <td colSpan={5} style={{ ...cell, padding:'2px 8px', color:'#b91c1c', fontSize:12 }}>{v.message}</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ display:'flex', alignItems:'center', gap:8, marginTop:8, flexWrap:'wrap' }}>
+        <button onClick={add} disabled={roster.length < 2} style={{ padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+          + Add Rule
+        </button>
+        <span style={{ fontSize:13, color:'#64748b' }}>Keep clubmates apart until round</span>
+        <input type="number" step="1" min="2" value={clubRound} onChange={e=>setClubRound(e.target.value)} style={{ width:56 }} />
+        <button onClick={separateClubmates} style={{ padding:'6px 12px' }}>Apply club rule</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,103 @@
+import React, { useState } from 'react'
+
+export const DEFAULT_LOGO = '/scorecard-logo.png'
+// Logos are stored inside the tournament (localStorage) and copied into duplicates
+// and later stages, so an upload is scaled down to what the scorecard header needs
+// (36px high on screen; three times that prints sharply) before it is kept.
+const LOGO_MAX_WIDTH = 360
+const LOGO_MAX_HEIGHT = 120
+const MAX_LOGO_CHARS = 48 * 1024 // of the stored data URL
+
+// Resolves to a data URL of the image scaled to fit the logo box: PNG, or JPEG
+// on white when that is what keeps a photo under MAX_LOGO_CHARS.
+function shrinkLogo(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      // An SVG without a size of its own is drawn into the full box.
+      const w = img.naturalWidth || LOGO_MAX_WIDTH
+      const h = img.naturalHeight || LOGO_MAX_HEIGHT
+      const scale = Math.min(1, LOGO_MAX_WIDTH / w, LOGO_MAX_HEIGHT / h)
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.max(1, Math.round(w * scale))
+      canvas.height = Math.max(1, Math.round(h * scale))
+      const ctx = canvas.getContext('2d')
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+      const png = canvas.toDataURL('image/png')
+      if (png.length <= MAX_LOGO_CHARS) {
+        resolve(png)
+        return
+      }
+      ctx.globalCompositeOperation = 'destination-over'
+      ctx.fillStyle = '#fff'
+      ctx.fillRect(0, 0, canvas.width, canvas.height)
+      resolve(canvas.toDataURL('image/jpeg', 0.85))
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Not a readable image'))
+    }
+    img.src = url
+  })
+}
+
+const field = { display:'block', marginBottom:8 }
+const input = { width:'100%', marginTop:4 }
+
+// Name, scorecard header and logo for one tournament.
+export default function EventDetails({ tournament, onChange }) {
+  const [logoError, setLogoError] = useState('')
+
+  const uploadLogo = (e) => {
+    const file = e.target.files && e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    if (!file.type.startsWith('image/')) {
+      setLogoError('Choose an image file (PNG, JPG, SVG…).')
+      return
+    }
+    shrinkLogo(file).then(logo => {
+      if (logo.length > MAX_LOGO_CHARS) {
+        setLogoError('That image is still too large once scaled down; try a simpler one.')
+        return
+      }
+      setLogoError('')
+      onChange({ logo })
+    }).catch(() => setLogoError('Could not read that file.'))
+  }
+
+  return (
+    <div style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12 }}>
+      <div style={{ fontWeight:600, marginBottom:8 }}>Event Details</div>
+      <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:'0 12px' }}>
+        <label style={field}>Library name
+          <input value={tournament.name} onChange={e=>onChange({ name: e.target.value })} style={input} />
+        </label>
+        <label style={field}>Division
+          <input value={tournament.division} onChange={e=>onChange({ division: e.target.value })} style={input} />
+        </label>
+        <label style={field}>Scorecard title
+          <input value={tournament.title} placeholder={tournament.name} onChange={e=>onChange({ title: e.target.value })} style={input} />
+        </label>
+        <label style={field}>Subtitle (venue, city…)
+          <input value={tournament.subtitle} onChange={e=>onChange({ subtitle: e.target.value })} style={input} />
+        </label>
+        <label style={field}>Date
+          <input type="date" value={tournament.date} onChange={e=>onChange({ date: e.target.value })} style={input} />
+        </label>
+        <div style={field}>Logo
+          <div style={{ display:'flex', alignItems:'center', gap:8, marginTop:4 }}>
+            <img src={tournament.logo || DEFAULT_LOGO} alt="Logo" style={{ height:36 }} />
+            <input type="file" accept="image/*" onChange={uploadLogo} style={{ flex:1, minWidth:0 }} />
+            {tournament.logo && (
+              <button onClick={()=>onChange({ logo: '' })} style={{ padding:'2px 8px' }}>Use default</button>
+            )}
+          </div>
+          {logoError && <div style={{ color:'#b91c1c', fontSize:12, marginTop:4 }}>{logoError}</div>}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,130 @@
+import React, { useState } from 'react'
+import { importTournament } from './transfer.js'
+import { STATUS_LABELS } from './storage.js'
+
+const panel = { background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16 }
+const cell = { border:'1px solid #e5e7eb', padding:6 }
+const smallButton = (bg) => ({ padding:'4px 10px', borderRadius:6, border:0, background:bg, color:'#fff', cursor:'pointer', marginRight:6 })
+
+// Saved tournaments: open, create, duplicate as a template, archive and delete.
+export default function Library({ entries, activeId, resume, onDismissResume, onOpen, onCreate, onImport, onDuplicate, onToggleArchived, onDelete }) {
+  const [showArchived, setShowArchived] = useState(false)
+  const [draft, setDraft] = useState({ name: '', date: '', division: '' })
+  const [importErrors, setImportErrors] = useState(null) // { file, errors }
+
+  const importFile = (e) => {
+    const file = e.target.files && e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    file.text().then(text => {
+      const parsed = importTournament(text)
+      if (!parsed.ok) {
+        setImportErrors({ file: file.name, errors: parsed.errors })
+        return
+      }
+      setImportErrors(null)
+      onImport(parsed.tournament)
+    }).catch(err => setImportErrors({ file: file.name, errors: [`The file could not be imported: ${err.message}`] }))
+  }
+
+  const visible = entries
+    .filter(e => showArchived || !e.tournament.archived)
+    .sort((a, b) => (b.tournament.date || '').localeCompare(a.tournament.date || '') || b.updatedAt.localeCompare(a.updatedAt))
+  const archivedCount = entries.filter(e => e.tournament.archived).length
+
+  const create = (e) => {
+    e.preventDefault()
+    onCreate({ ...draft, name: draft.name.trim() || 'Untitled tournament' })
+    setDraft({ name: '', date: '', division: '' })
+  }
+
+  return (
+    <div style={{ maxWidth:1200, margin:'24px auto', padding:'0 16px' }}>
+      <h1>Tournament Library</h1>
+
+      {resume && (
+        <div style={{ ...panel, background:'#eff6ff', border:'1px solid #3b82f6', display:'flex', gap:12, alignItems:'center' }}>
+          <div style={{ flex:1 }}>
+            <strong>Restore last session?</strong> “{resume.entry.tournament.name}” was autosaved {resume.savedAt ? new Date(resume.savedAt).toLocaleString() : 'earlier'}.
+          </div>
+          <button onClick={()=>onOpen(resume.entry.id)} style={smallButton('#1d4ed8')}>Resume</button>
+          <button onClick={onDismissResume} style={smallButton('#475569')}>Dismiss</button>
+        </div>
+      )}
+
+      <form onSubmit={create} style={{ ...panel, display:'flex', gap:8, alignItems:'flex-end', flexWrap:'wrap' }}>
+        <label style={{ flex:2, minWidth:200 }}>Name
+          <input value={draft.name} onChange={e=>setDraft({ ...draft, name: e.target.value })} placeholder="League Night — Week 12" style={{ width:'100%', marginTop:4 }} />
+        </label>
+        <label style={{ flex:1, minWidth:140 }}>Date
+          <input type="date" value={draft.date} onChange={e=>setDraft({ ...draft, date: e.target.value })} style={{ width:'100%', marginTop:4 }} />
+        </label>
+        <label style={{ flex:1, minWidth:140 }}>Division
+          <input value={draft.division} onChange={e=>setDraft({ ...draft, division: e.target.value })} placeholder="Singles" style={{ width:'100%', marginTop:4 }} />
+        </label>
+        <button type="submit" style={{ padding:'8px 12px', borderRadius:6, border:0, background:'#15803d', color:'#fff', cursor:'pointer' }}>
+          New Tournament
+        </button>
+        <label style={{ padding:'8px 12px', borderRadius:6, background:'#0e7490', color:'#fff', cursor:'pointer' }}>
+          Import File…
+          <input type="file" accept=".json,application/json" onChange={importFile} style={{ display:'none' }} />
+        </label>
+      </form>
+
+      {importErrors && (
+        <div style={{ ...panel, background:'#fef2f2', border:'1px solid #f87171', color:'#7f1d1d' }}>
+          <div style={{ fontWeight:600, marginBottom:4 }}>Could not import {importErrors.file}</div>
+          <ul style={{ margin:0, paddingLeft:18, fontSize:13 }}>
+            {importErrors.errors.slice(0, 20).map((msg, i) => <li key={i}>{msg}</li>)}
+            {importErrors.errors.length > 20 && <li>…and {importErrors.errors.length - 20} more</li>}
+          </ul>
+        </div>
+      )}
+
+      <div style={{ ...panel, padding:0, overflow:'hidden' }}>
+        <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13 }}>
+          <thead>
+            <tr style={{ background:'#f3f4f6' }}>
+              <th style={cell}>Name</th>
+              <th style={cell}>Date</th>
+              <th style={cell}>Division</th>
+              <th style={cell}>Status</th>
+              <th style={cell}>Last saved</th>
+              <th style={cell}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(e => (
+              <tr key={e.id} style={{ color: e.tournament.archived ? '#94a3b8' : 'inherit', fontWeight: e.id === activeId ? 600 : 400 }}>
+                <td style={cell}>
+                  {e.tournament.name}
+                  {e.tournament.stage && (
+                    <span style={{ color:'#64748b' }}> — {e.tournament.stage.label || `Stage ${e.tournament.stage.index}`}</span>
+                  )}
+                </td>
+                <td style={cell}>{e.tournament.date}</td>
+                <td style={cell}>{e.tournament.division}</td>
+                <td style={cell}>{e.tournament.archived ? 'Archived' : STATUS_LABELS[e.tournament.status] || e.tournament.status}</td>
+                <td style={cell}>{new Date(e.updatedAt).toLocaleString()}</td>
+                <td style={{ ...cell, whiteSpace:'nowrap' }}>
+                  <button onClick={()=>onOpen(e.id)} style={smallButton('#1d4ed8')}>Open</button>
+                  <button onClick={()=>onDuplicate(e.id)} style={smallButton('#334155')}>Duplicate</button>
+                  <button onClick={()=>onToggleArchived(e.id)} style={smallButton('#64748b')}>{e.tournament.archived ? 'Unarchive' : 'Archive'}</button>
+                  <button onClick={()=>onDelete(e.id)} style={smallButton('#b91c1c')}>Delete</button>
+                </td>
+              </tr>
+            ))}
+            {!visible.length && (
+              <tr><td colSpan={6} style={{ ...cell, color:'#64748b' }}>No tournaments yet — create one above.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {archivedCount > 0 && (
+        <label style={{ fontSize:13 }}>
+          <input type="checkbox" checked={showArchived} onChange={e=>setShowArchived(e.target.checked)} /> Show archived ({archivedCount})
+        </label>
+      )}
+    </div>
+  )
+}
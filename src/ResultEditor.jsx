@@ -0,0 +1,57 @@
+import React from 'react'
+import { validateGame, summarizeResult } from './results.js'
+
+// Inline editor for one match: points (2/1/0) and 20s per game for both players.
+export default function ResultEditor({ match, result, nameOf, onChange, onClose }) {
+  const summary = summarizeResult(result)
+
+  const setField = (gi, field, value) => {
+    const games = result.games.map((g, i) => (i === gi ? { ...g, [field]: value } : g))
+    onChange({ ...result, games })
+  }
+
+  const cell = { border:'1px solid #e5e7eb', padding:4, textAlign:'center' }
+  const numInput = (gi, field, max) => (
+    <input type="number" min="0" max={max} step="1" value={result.games[gi][field]}
+      onChange={e=>setField(gi, field, e.target.value)} style={{ width:52 }} />
+  )
+
+  return (
+    <div style={{ padding:8, background:'#f8fafc' }}>
+      <table style={{ borderCollapse:'collapse', fontSize:13 }}>
+        <thead>
+          <tr style={{ background:'#f3f4f6' }}>
+            <th style={cell}>Game</th>
+            <th style={cell}>{nameOf(match.A)} pts</th>
+            <th style={cell}>{nameOf(match.A)} 20s</th>
+            <th style={cell}>{nameOf(match.B)} pts</th>
+            <th style={cell}>{nameOf(match.B)} 20s</th>
+            <th style={cell}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.games.map((g, gi) => {
+            const errors = validateGame(g)
+            return (
+              <tr key={gi} style={errors.length ? { background:'#fef2f2' } : undefined}>
+                <td style={cell}>{gi + 1}</td>
+                <td style={cell}>{numInput(gi, 'pointsA', 2)}</td>
+                <td style={cell}>{numInput(gi, 'twentiesA', 12)}</td>
+                <td style={cell}>{numInput(gi, 'pointsB', 2)}</td>
+                <td style={cell}>{numInput(gi, 'twentiesB', 12)}</td>
+                <td style={{ ...cell, textAlign:'left', color:'#b91c1c', minWidth:200 }}>{errors.join(' ')}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+      <div style={{ marginTop:6, fontSize:13, display:'flex', gap:12, alignItems:'center' }}>
+        <span>
+          Total {summary.pointsA}–{summary.pointsB} • 20s {summary.twentiesA}–{summary.twentiesB}
+          {summary.complete ? ' • complete' : ` • ${summary.entered} of ${result.games.length} games entered`}
+        </span>
+        <button onClick={onClose} style={{ padding:'4px 10px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>Done</button>
+      </div>
+    </div>
+  )
+}
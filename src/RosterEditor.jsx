@@ -0,0 +1,110 @@
+import React, { useMemo, useState } from 'react'
+import { createPlayer, findDuplicateNames, parseNamesText } from './roster.js'
+
+const cell = { border:'1px solid #e5e7eb', padding:2 }
+const cellInput = { width:'100%', boxSizing:'border-box', border:0, padding:'4px 6px', background:'transparent', font:'inherit' }
+const iconButton = { padding:'0 6px', border:'1px solid #cbd5e1', borderRadius:4, background:'#fff', cursor:'pointer' }
+
+const COLUMNS = [
+  { id: 'name', label: 'Name', width: 170 },
+  { id: 'rating', label: 'Rating', width: 70, number: true },
+  { id: 'seed', label: 'Seed', width: 55, number: true },
+  { id: 'club', label: 'Club', width: 110 },
+  { id: 'division', label: 'Division', width: 90 },
+  { id: 'email', label: 'Email', width: 150 },
+  { id: 'accessibility', label: 'Accessibility', width: 130 },
+  { id: 'firstRound', label: 'From rnd', width: 65, number: true },
+  { id: 'lastRound', label: 'To rnd', width: 60, number: true },
+  { id: 'skipRounds', label: 'Skip rnds', width: 80 }
+]
+
+// Player table: inline editing, reordering, duplicate warnings and bulk paste.
+// Row order is entry order (what "As entered" seeding deals from).
+export default function RosterEditor({ roster, onChange }) {
+  const [pasteText, setPasteText] = useState('')
+  const [onePerLine, setOnePerLine] = useState(false)
+  const duplicates = useMemo(() => findDuplicateNames(roster), [roster])
+  const duplicateIds = new Set([...duplicates.values()].flat())
+
+  const setField = (id, field, value, number) => {
+    const v = number ? (value === '' ? null : Number(value)) : value
+    onChange(roster.map(p => (p.id === id ? { ...p, [field]: v } : p)))
+  }
+  const move = (i, dir) => {
+    const j = i + dir
+    if (j < 0 || j >= roster.length) return
+    const next = [...roster]
+    ;[next[i], next[j]] = [next[j], next[i]]
+    onChange(next)
+  }
+  const remove = (id) => onChange(roster.filter(p => p.id !== id))
+  const add = () => onChange([...roster, createPlayer({ name: `P${roster.length + 1}` })])
+
+  const pasted = parseNamesText(pasteText, { onePerLine })
+  const addPasted = (replace) => {
+    const added = pasted.map(e => createPlayer(e))
+    onChange(replace ? added : [...roster, ...added])
+    setPasteText('')
+  }
+
+  return (
+    <div>
+      <div style={{ maxHeight:320, overflow:'auto', border:'1px solid #e5e7eb', borderRadius:6 }}>
+        <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13, tableLayout:'fixed', minWidth:1100 }}>
+          <thead>
+            <tr style={{ background:'#f3f4f6', position:'sticky', top:0 }}>
+              <th style={{ ...cell, width:32 }}>#</th>
+              {COLUMNS.map(c => <th key={c.id} style={{ ...cell, width:c.width }}>{c.label}</th>)}
+              <th style={{ ...cell, width:90 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {roster.map((p, i) => (
+              <tr key={p.id} style={duplicateIds.has(p.id) ? { background:'#fef3c7' } : undefined}>
+                <td style={{ ...cell, textAlign:'center', color:'#64748b' }}>{i + 1}</td>
+                {COLUMNS.map(c => (
+                  <td key={c.id} style={cell}>
+                    <input type={c.number ? 'number' : 'text'} value={p[c.id] ?? ''}
+                      onChange={e=>setField(p.id, c.id, e.target.value, c.number)} style={cellInput} />
+                  </td>
+                ))}
+                <td style={{ ...cell, whiteSpace:'nowrap', textAlign:'center' }}>
+                  <button onClick={()=>move(i, -1)} disabled={i === 0} style={iconButton} title="Move up">↑</button>{' '}
+                  <button onClick={()=>move(i, 1)} disabled={i === roster.length - 1} style={iconButton} title="Move down">↓</button>{' '}
+                  <button onClick={()=>remove(p.id)} style={{ ...iconButton, color:'#b91c1c' }} title="Remove">✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {duplicates.size > 0 && (
+        <div style={{ marginTop:6, fontSize:12, color:'#92400e' }}>
+          Duplicate names: {[...duplicates.keys()].map(k => `“${roster.find(p => p.name.trim().toLowerCase() === k).name.trim()}” ×${duplicates.get(k).length}`).join(', ')}.
+          Give each player a distinct name so scorecards can tell them apart.
+        </div>
+      )}
+
+      <button onClick={add} style={{ marginTop:8, padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+        + Add Player
+      </button>
+
+      <details style={{ marginTop:12 }}>
+        <summary style={{ cursor:'pointer', fontWeight:600 }}>Bulk paste</summary>
+        <textarea value={pasteText} onChange={e=>setPasteText(e.target.value)} placeholder="Alice, Bob | 1650 | #2 | Riverside, Carol"
+          style={{ width:'100%', minHeight:90, marginTop:6, fontFamily:'inherit', border:'1px solid #e5e7eb', borderRadius:6, padding:8, boxSizing:'border-box' }} />
+        <div style={{ fontSize:12, color:'#64748b' }}>
+          Comma or newline separated; add a rating, seed or club as <code>Name | 1650 | #2 | Club</code>.
+        </div>
+        <label style={{ display:'block', fontSize:13, marginTop:4 }}>
+          <input type="checkbox" checked={onePerLine} onChange={e=>setOnePerLine(e.target.checked)} /> One player per line (names contain commas)
+        </label>
+        <div style={{ display:'flex', gap:8, marginTop:6 }}>
+          <button disabled={!pasted.length} onClick={()=>addPasted(false)} style={{ padding:'6px 12px' }}>Add {pasted.length} player(s)</button>
+          <button disabled={!pasted.length} onClick={()=>addPasted(true)} style={{ padding:'6px 12px' }}>Replace roster</button>
+        </div>
+      </details>
+    </div>
+  )
+}
@@ -0,0 +1,110 @@
+import React, { useMemo, useState } from 'react'
+import { ROSTER_FIELDS, parseCSV, guessMapping, buildRosterImport } from './roster.js'
+
+const cell = { border:'1px solid #e5e7eb', padding:4 }
+
+// CSV roster import: pick a file, map its columns, preview, then replace or append.
+export default function RosterImport({ existingNames, onImport, onClose }) {
+  const [fileName, setFileName] = useState('')
+  const [rows, setRows] = useState(null) // parsed CSV incl. header row
+  const [mapping, setMapping] = useState({})
+  const [mode, setMode] = useState('replace') // 'replace' | 'append'
+  const [readError, setReadError] = useState('')
+
+  const loadFile = (e) => {
+    const file = e.target.files && e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    file.text().then(text => {
+      const parsed = parseCSV(text)
+      if (parsed.length < 2) {
+        setReadError('The file needs a header row and at least one player.')
+        setRows(null)
+        return
+      }
+      setReadError('')
+      setFileName(file.name)
+      setRows(parsed)
+      setMapping(guessMapping(parsed[0]))
+    })
+  }
+
+  const preview = useMemo(() => {
+    if (!rows || mapping.name < 0) return null
+    return buildRosterImport(rows.slice(1), mapping, mode === 'append' ? existingNames : [])
+  }, [rows, mapping, mode, existingNames])
+
+  const errors = preview ? preview.problems.filter(p => p.level === 'error') : []
+  const warnings = preview ? preview.problems.filter(p => p.level === 'warning') : []
+
+  return (
+    <div style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12 }}>
+      <div style={{ display:'flex', alignItems:'center', gap:12, marginBottom:8 }}>
+        <div style={{ fontWeight:600, flex:1 }}>Import Roster CSV</div>
+        <button onClick={onClose} style={{ padding:'2px 8px' }}>Close</button>
+      </div>
+
+      <input type="file" accept=".csv,text/csv" onChange={loadFile} />
+      {fileName && <span style={{ marginLeft:8, fontSize:12, color:'#64748b' }}>{fileName} • {rows.length - 1} rows</span>}
+      {readError && <div style={{ color:'#b91c1c', fontSize:13, marginTop:6 }}>{readError}</div>}
+
+      {rows && (
+        <>
+          <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(170px, 1fr))', gap:8, marginTop:12 }}>
+            {ROSTER_FIELDS.map(f => (
+              <label key={f.id} style={{ fontSize:13 }}>{f.label}{f.required ? ' *' : ''}
+                <select value={mapping[f.id] ?? -1} onChange={e=>setMapping({ ...mapping, [f.id]: Number(e.target.value) })} style={{ width:'100%', marginTop:2 }}>
+                  <option value={-1}>— not imported —</option>
+                  {rows[0].map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {!preview && <div style={{ color:'#b91c1c', fontSize:13, marginTop:8 }}>Choose which column holds the player name.</div>}
+
+          {preview && (
+            <>
+              <div style={{ marginTop:12, fontSize:13 }}>
+                <strong>{preview.players.length}</strong> player(s) ready
+                {errors.length > 0 && <>, <span style={{ color:'#b91c1c' }}>{errors.length} row(s) skipped</span></>}
+                {warnings.length > 0 && <>, <span style={{ color:'#b45309' }}>{warnings.length} warning(s)</span></>}
+              </div>
+              {preview.problems.length > 0 && (
+                <ul style={{ fontSize:12, margin:'6px 0', paddingLeft:18, maxHeight:120, overflow:'auto' }}>
+                  {preview.problems.map((p, i) => (
+                    <li key={i} style={{ color: p.level === 'error' ? '#b91c1c' : '#b45309' }}>Row {p.row}: {p.message}</li>
+                  ))}
+                </ul>
+              )}
+              <div style={{ maxHeight:240, overflow:'auto', marginTop:6 }}>
+                <table style={{ width:'100%', borderCollapse:'collapse', fontSize:12 }}>
+                  <thead>
+                    <tr style={{ background:'#f3f4f6' }}>
+                      {ROSTER_FIELDS.map(f => <th key={f.id} style={cell}>{f.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.players.map(p => (
+                      <tr key={p.name}>
+                        {ROSTER_FIELDS.map(f => <td key={f.id} style={cell}>{p[f.id] ?? ''}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ display:'flex', gap:12, alignItems:'center', marginTop:10 }}>
+                <label style={{ fontSize:13 }}><input type="radio" checked={mode === 'replace'} onChange={()=>setMode('replace')} /> Replace current players</label>
+                <label style={{ fontSize:13 }}><input type="radio" checked={mode === 'append'} onChange={()=>setMode('append')} /> Add to current players</label>
+                <button disabled={!preview.players.length} onClick={()=>onImport(preview.players, mode)} style={{ marginLeft:'auto', padding:'8px 12px', borderRadius:6, border:0, background:'#15803d', color:'#fff', cursor:'pointer' }}>
+                  Import {preview.players.length} player(s)
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,69 @@
+import React from 'react'
+import { STATUS_LABELS } from './storage.js'
+
+const tab = (current) => ({
+  padding:'6px 12px', borderRadius:6, cursor:'pointer',
+  border: current ? '1px solid #1d4ed8' : '1px solid #cbd5e1',
+  background: current ? '#eff6ff' : '#fff',
+  fontWeight: current ? 600 : 400
+})
+
+// The sessions of a multi-day event. Each stage is its own tournament (roster,
+// boards, format, scorecards); a later stage fills its roster from the standings
+// of the stage named in `seedFrom`. `source` is that stage's library entry, if it
+// is in this library.
+export default function StagePanel({ entryId, stage, stages, seedFrom, source, onChange, onOpenStage, onAddStage, onSeed }) {
+  if (!stage) {
+    return (
+      <div style={{ display:'flex', alignItems:'center', gap:8, flexWrap:'wrap', fontSize:13 }}>
+        <span style={{ color:'#64748b' }}>Single session. Add a stage to run finals (or another day) seeded from these standings.</span>
+        <button onClick={onAddStage} style={{ padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+          + Add Next Stage
+        </button>
+      </div>
+    )
+  }
+
+  const labelOf = (t) => t.stage.label || `Stage ${t.stage.index}`
+  const sourceStatus = source?.tournament.status
+
+  return (
+    <div style={{ fontSize:13 }}>
+      <div style={{ display:'flex', gap:8, flexWrap:'wrap', marginBottom:8 }}>
+        {stages.map(e => (
+          <button key={e.id} onClick={()=>onOpenStage(e.id)} disabled={e.id === entryId} style={tab(e.id === entryId)}>
+            {e.tournament.stage.index}. {labelOf(e.tournament)}
+            <span style={{ color:'#64748b', fontWeight:400 }}> · {STATUS_LABELS[e.tournament.status] || e.tournament.status}</span>
+          </button>
+        ))}
+        <button onClick={onAddStage} style={{ padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+          + Add Next Stage
+        </button>
+      </div>
+
+      <label>Session label
+        <input value={stage.label} onChange={e=>onChange({ stage: { ...stage, label: e.target.value } })} placeholder="Saturday — Groups" style={{ marginLeft:8, width:220 }} />
+      </label>
+
+      {seedFrom && (
+        <div style={{ display:'flex', alignItems:'center', gap:8, flexWrap:'wrap', marginTop:8 }}>
+          {source ? (
+            <>
+              <span>Seed from {labelOf(source.tournament)}: top</span>
+              <input type="number" step="1" min="0" value={seedFrom.perGroup} onChange={e=>onChange({ seedFrom: { ...seedFrom, perGroup: e.target.value } })} style={{ width:56 }} />
+              <span>per group (0 = everyone)</span>
+              <button onClick={onSeed} disabled={!source.tournament.ranking?.length} style={{ padding:'6px 12px' }}>Seed roster</button>
+              {sourceStatus !== 'complete' && (
+                <span style={{ color:'#92400e' }}>
+                  {source.tournament.ranking?.length ? 'Results are not all in yet; the standings may still change.' : 'No standings yet.'}
+                </span>
+              )}
+            </>
+          ) : (
+            <span style={{ color:'#92400e' }}>The stage this one is seeded from is not in this library.</span>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
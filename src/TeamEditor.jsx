@@ -0,0 +1,81 @@
+import React from 'react'
+
+const cell = { border:'1px solid #e5e7eb', padding:2 }
+const cellSelect = { width:'100%', boxSizing:'border-box', border:0, padding:'4px 6px', background:'transparent', font:'inherit' }
+const iconButton = { padding:'0 6px', border:'1px solid #cbd5e1', borderRadius:4, background:'#fff', cursor:'pointer' }
+
+// Doubles partners. With a fixed draw the TD picks both partners of each team;
+// with a random draw the drawn teams are listed read-only. `unpaired` comes from
+// formTeams, so it matches exactly who the scheduler leaves out.
+export default function TeamEditor({ roster, nameOf, draw, pairs, teams, unpaired, onChange }) {
+  const used = new Set(pairs.flat())
+
+  const setPartner = (ti, side, id) => {
+    onChange(pairs.map((pair, k) => (k === ti ? (side === 0 ? [id, pair[1]] : [pair[0], id]) : pair)))
+  }
+  const remove = (ti) => onChange(pairs.filter((_, k) => k !== ti))
+  const free = roster.map(p => p.id).filter(id => !used.has(id))
+  const add = () => onChange([...pairs, [free[0] || '', free[1] || '']])
+  const pairRemaining = () => {
+    const next = [...pairs]
+    for (let i = 0; i + 1 < free.length; i += 2) next.push([free[i], free[i + 1]])
+    onChange(next)
+  }
+
+  return (
+    <div>
+      {draw === 'random' ? (
+        <ol style={{ margin:0, paddingLeft:24, fontSize:13, columns:2 }}>
+          {teams.map(t => <li key={t.id}>{t.members.map(nameOf).join(' & ')}</li>)}
+        </ol>
+      ) : (
+        <>
+          <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13, tableLayout:'fixed' }}>
+            <thead>
+              <tr style={{ background:'#f3f4f6' }}>
+                <th style={{ ...cell, width:32 }}>#</th>
+                <th style={cell}>Partner 1</th>
+                <th style={cell}>Partner 2</th>
+                <th style={{ ...cell, width:40 }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pairs.map((pair, ti) => (
+                <tr key={ti}>
+                  <td style={{ ...cell, textAlign:'center', color:'#64748b' }}>{ti + 1}</td>
+                  {[0, 1].map(side => (
+                    <td key={side} style={cell}>
+                      <select value={pair[side] || ''} onChange={e=>setPartner(ti, side, e.target.value)} style={cellSelect}>
+                        <option value="">—</option>
+                        {roster.map(p => (
+                          <option key={p.id} value={p.id} disabled={used.has(p.id) && p.id !== pair[side]}>{nameOf(p.id)}</option>
+                        ))}
+                      </select>
+                    </td>
+                  ))}
+                  <td style={{ ...cell, textAlign:'center' }}>
+                    <button onClick={()=>remove(ti)} style={{ ...iconButton, color:'#b91c1c' }} title="Remove team">✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display:'flex', gap:8, marginTop:8 }}>
+            <button onClick={add} style={{ padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+              + Add Team
+            </button>
+            <button onClick={pairRemaining} disabled={free.length < 2} style={{ padding:'6px 12px' }}>
+              Pair the rest in roster order
+            </button>
+          </div>
+        </>
+      )}
+
+      {unpaired.length > 0 && (
+        <div style={{ marginTop:6, fontSize:12, color:'#92400e' }}>
+          Without a partner (not scheduled): {unpaired.map(nameOf).join(', ')}.
+        </div>
+      )}
+    </div>
+  )
+}
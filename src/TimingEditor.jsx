@@ -0,0 +1,69 @@
+import React from 'react'
+
+const cell = { border:'1px solid #e5e7eb', padding:2 }
+const cellInput = { width:'100%', boxSizing:'border-box', border:0, padding:'4px 6px', background:'transparent', font:'inherit' }
+const iconButton = { padding:'0 6px', border:'1px solid #cbd5e1', borderRadius:4, background:'#fff', cursor:'pointer' }
+
+// Start time, round length, changeover and named breaks. `times` comes from
+// roundTimes and is listed underneath so the TD can check the day at a glance.
+// onChange receives a patch of tournament fields.
+export default function TimingEditor({ startTime, roundMinutes, changeoverMinutes, breaks, times, onChange }) {
+  const updateBreak = (i, patch) => onChange({ breaks: breaks.map((b, k) => (k === i ? { ...b, ...patch } : b)) })
+  const removeBreak = (i) => onChange({ breaks: breaks.filter((_, k) => k !== i) })
+  const addBreak = () => onChange({ breaks: [...breaks, { name: 'Lunch', afterRound: 3, minutes: 45 }] })
+
+  return (
+    <div>
+      <div style={{ display:'flex', gap:12, flexWrap:'wrap', marginBottom:8, fontSize:13 }}>
+        <label>Start time
+          <input type="time" value={startTime} onChange={e=>onChange({ startTime: e.target.value })} style={{ display:'block', marginTop:4 }} />
+        </label>
+        <label>Round length (min)
+          <input type="number" step="5" min="0" value={roundMinutes} onChange={e=>onChange({ roundMinutes: e.target.value })} style={{ display:'block', marginTop:4, width:90 }} />
+        </label>
+        <label>Changeover (min)
+          <input type="number" step="1" min="0" value={changeoverMinutes} onChange={e=>onChange({ changeoverMinutes: e.target.value })} style={{ display:'block', marginTop:4, width:90 }} />
+        </label>
+      </div>
+
+      {breaks.length > 0 && (
+        <table style={{ width:'100%', maxWidth:520, borderCollapse:'collapse', fontSize:13, tableLayout:'fixed' }}>
+          <thead>
+            <tr style={{ background:'#f3f4f6' }}>
+              <th style={cell}>Break</th>
+              <th style={{ ...cell, width:100 }}>After round</th>
+              <th style={{ ...cell, width:80 }}>Minutes</th>
+              <th style={{ ...cell, width:40 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {breaks.map((b, i) => (
+              <tr key={i}>
+                <td style={cell}><input value={b.name} onChange={e=>updateBreak(i, { name: e.target.value })} style={cellInput} /></td>
+                <td style={cell}><input type="number" step="1" min="0" value={b.afterRound} onChange={e=>updateBreak(i, { afterRound: e.target.value })} style={cellInput} /></td>
+                <td style={cell}><input type="number" step="5" min="0" value={b.minutes} onChange={e=>updateBreak(i, { minutes: e.target.value })} style={cellInput} /></td>
+                <td style={{ ...cell, textAlign:'center' }}>
+                  <button onClick={()=>removeBreak(i)} style={{ ...iconButton, color:'#b91c1c' }} title="Remove break">✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button onClick={addBreak} style={{ marginTop:8, padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+        + Add Break
+      </button>
+
+      {times ? (
+        <div style={{ marginTop:8, fontSize:13, color:'#334155' }}>
+          {[
+            ...times.rounds.map(t => ({ at: t.round, label: `Round ${t.round} ${t.start}–${t.end}` })),
+            ...times.breaks.map(b => ({ at: b.afterRound + 0.5, label: `${b.name} ${b.start}–${b.end}` }))
+          ].sort((a, b) => a.at - b.at).map(x => x.label).join(' · ')}
+        </div>
+      ) : (
+        <div style={{ marginTop:8, fontSize:12, color:'#64748b' }}>Set a start time to print clock times on scorecards and exports.</div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,1192 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import {
+  buildPlayers,
+  strengthValue,
+  SEEDING_METHODS,
+  formTeams,
+  teamMembers,
+  splitIntoGroups,
+  buildGroupPairings,
+  buildMixerSchedule,
+  checkConstraints,
+  boardHistogram,
+  POST_PROCESS_STEPS,
+  DEFAULT_POST_PROCESS,
+  postProcessSchedule,
+  offRoundReport,
+  offLimitBreaches,
+  rescheduleRemaining,
+  scheduleChanges,
+  toCSVWithOff
+} from './scheduler.js'
+import { runScheduleSearch, searchInWorker } from './scheduleSearch.js'
+import { matchKey, pairSwissRound } from './swiss.js'
+import { TIE_BREAKERS, computeStandings } from './standings.js'
+import { emptyResult, resultFor, scoresForSchedule, summarizeResult } from './results.js'
+import ResultEditor from './ResultEditor.jsx'
+import EventDetails, { DEFAULT_LOGO } from './EventDetails.jsx'
+import { exportTournament } from './transfer.js'
+import { createPlayer, isAvailableIn } from './roster.js'
+import RosterImport from './RosterImport.jsx'
+import RosterEditor from './RosterEditor.jsx'
+import TeamEditor from './TeamEditor.jsx'
+import ConstraintEditor from './ConstraintEditor.jsx'
+import TimingEditor from './TimingEditor.jsx'
+import WithdrawalPanel from './WithdrawalPanel.jsx'
+import { roundTimes } from './timing.js'
+import { assignDuties, dutyCounts, toDutyRosterCSV } from './duties.js'
+import StagePanel from './StagePanel.jsx'
+import { qualifiersFrom } from './stages.js'
+import { seedPlayoffField, buildSingleElimination, buildDoubleElimination } from './playoffs.js'
+
+// The full schedule search starts this long after the last settings change and
+// runs in a worker with the scheduler's own time budget; "Search longer" allows
+// LONG_SEARCH_MS.
+const SEARCH_DELAY_MS = 400
+const LONG_SEARCH_MS = 10000
+
+// Why a target was ruled out by counting alone (attempt method 'check').
+const CHECK_REASONS = {
+  parity: 'a group\'s games would not pair up (odd total)',
+  boards: 'more games than the boards can hold in these rounds',
+  opponents: 'someone has fewer possible opponents than games'
+}
+
+// One tournament's settings, schedule, scorecards and results. Everything that
+// belongs to the event lives in `tournament`, owned (and autosaved) by App.
+// In a multi-stage event, `stages` lists every session's library entry and
+// `seedSource` is the entry this stage is seeded from (see stages.js).
+export default function TournamentView({ entryId, tournament, setTournament, onOpenLibrary, stages = [], seedSource = null, onOpenStage, onAddStage }) {
+  const {
+    roster, playMode, teamDraw, teams: teamPairs, teamSeed, constraints, postProcess,
+    numGroups, numBoards, numRounds, desiredGames, maxConsecutiveOff, maxOffPerHalf,
+    seedingMethod, randomSeed, format, swissRounds, results,
+    tieBreakers, coinSeed, playoffPerGroup, playoffType, duties: dutiesOn, dutyAvoidOwnGroup,
+    startTime, roundMinutes, changeoverMinutes, breaks, withdrawals
+  } = tournament
+
+  // Per-field setters with the same shape as useState's (value or updater fn).
+  const setter = (field) => (value) => setTournament(t => ({
+    ...t, [field]: typeof value === 'function' ? value(t[field]) : value
+  }))
+  const setRoster = setter('roster')
+  const setPlayMode = setter('playMode')
+  const setTeamDraw = setter('teamDraw')
+  const setTeamPairs = setter('teams')
+  const setTeamSeed = setter('teamSeed')
+  const setConstraints = setter('constraints')
+  const setPostProcess = setter('postProcess')
+  const setDutiesOn = setter('duties')
+  const setDutyAvoidOwnGroup = setter('dutyAvoidOwnGroup')
+  const setNumGroups = setter('numGroups')
+  const setNumBoards = setter('numBoards')
+  const setNumRounds = setter('numRounds')
+  const setDesiredGames = setter('desiredGames')
+  const setMaxConsecutiveOff = setter('maxConsecutiveOff')
+  const setMaxOffPerHalf = setter('maxOffPerHalf')
+  const setSeedingMethod = setter('seedingMethod')
+  const setRandomSeed = setter('randomSeed')
+  const setFormat = setter('format')
+  const setSwissRounds = setter('swissRounds')
+  const setResults = setter('results')
+  const setTieBreakers = setter('tieBreakers')
+  const setCoinSeed = setter('coinSeed')
+  const setPlayoffPerGroup = setter('playoffPerGroup')
+  const setPlayoffType = setter('playoffType')
+
+  const updateDetails = (patch) => setTournament(t => ({ ...t, ...patch }))
+
+  const [editingKey, setEditingKey] = useState(null)
+  const [showRosterImport, setShowRosterImport] = useState(false)
+  const [fillCount, setFillCount] = useState(roster.length)
+
+  const importRoster = (imported, mode) => {
+    const added = imported.map(p => createPlayer(p))
+    setRoster(prev => (mode === 'append' ? [...prev, ...added] : added))
+    setShowRosterImport(false)
+  }
+
+  // The scheduler works on roster ids; names are looked up only for display and export.
+  const players = useMemo(() => roster.map(p => p.id), [roster])
+
+  const playerInfo = useMemo(
+    () => Object.fromEntries(roster.map(p => [p.id, p])),
+    [roster]
+  )
+
+  // A blank name auto-fills as P1, P2… by roster position
+  const playerNames = useMemo(
+    () => Object.fromEntries(roster.map((p, i) => [p.id, p.name.trim() || `P${i + 1}`])),
+    [roster]
+  )
+
+  // ---- Doubles: teams are scheduled, seeded and ranked in place of players ----
+  // (The mixer keeps individual entrants; its sides are pairs drawn per round.)
+  const doubles = playMode === 'doubles'
+  const mixer = playMode === 'mixer'
+  const swiss = format === 'swiss' && !mixer
+  // A playoff stage has no group play: its entrants go straight into the bracket.
+  const playoffStage = format === 'playoff' && !mixer
+  const teamDrawResult = useMemo(
+    () => formTeams(players, { method: teamDraw, pairs: teamPairs, randomSeed: teamSeed }),
+    [players, teamDraw, teamPairs, teamSeed]
+  )
+
+  // What the scheduler pairs: roster ids in singles, team ids in doubles.
+  const entrants = useMemo(
+    () => (doubles ? teamDrawResult.teams.map(t => t.id) : players),
+    [doubles, teamDrawResult, players]
+  )
+
+  // A team seeds by its better partner's seed and their average rating; it counts
+  // as a club only when both partners belong to it.
+  const entrantInfo = useMemo(() => {
+    if (!doubles) return playerInfo
+    return Object.fromEntries(teamDrawResult.teams.map(t => {
+      const members = t.members.map(id => playerInfo[id])
+      const seeds = members.map(m => strengthValue(m.seed)).filter(v => v !== null)
+      const ratings = members.map(m => strengthValue(m.rating)).filter(v => v !== null)
+      const clubs = members.map(m => (m.club || '').toLowerCase())
+      return [t.id, {
+        members: t.members,
+        seed: seeds.length ? Math.min(...seeds) : null,
+        rating: ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : null,
+        club: clubs[0] === clubs[1] ? clubs[0] : ''
+      }]
+    }))
+  }, [doubles, teamDrawResult, playerInfo])
+
+  // Team (and mixer side) ids are partner ids joined, so any pair can be named.
+  const nameOf = useCallback((id) => playerNames[id] ?? teamMembers(id).map(m => playerNames[m] ?? m).join(' & '), [playerNames])
+  const entrantLabel = doubles ? 'Team' : 'Player'
+  const sideLabel = mixer ? 'Pair' : entrantLabel
+
+  // Pairing rules are entered between players; in doubles they bind the players' teams.
+  // Rules whose players are not both scheduled (or share a team) drop out.
+  const entrantConstraints = useMemo(() => {
+    const entrantOf = (id) => entrants.find(e => e === id || (doubles && teamMembers(e).includes(id)))
+    return constraints
+      .map((c, index) => ({ ...c, index, a: entrantOf(c.a), b: entrantOf(c.b) }))
+      .filter(c => c.a && c.b && c.a !== c.b)
+  }, [constraints, entrants, doubles])
+
+  // Swiss and the mixer take the whole field as one group, in seeding order.
+  const groups = useMemo(() => splitIntoGroups(entrants, swiss || mixer || playoffStage ? 1 : numGroups, {
+    method: seedingMethod,
+    randomSeed,
+    seedOf: p => entrantInfo[p]?.seed,
+    ratingOf: p => entrantInfo[p]?.rating,
+    clubOf: p => (entrantInfo[p]?.club || '').toLowerCase(),
+    constraints: entrantConstraints
+  }), [entrants, numGroups, swiss, mixer, playoffStage, seedingMethod, randomSeed, entrantInfo, entrantConstraints])
+  const groupRounds = useMemo(() => buildGroupPairings(groups), [groups])
+
+  // Rounds each entrant misses (a team misses a round if either partner does).
+  // Only entrants with gaps are listed, so full attendance leaves it empty.
+  const away = useMemo(() => {
+    const out = {}
+    entrants.forEach(id => {
+      const missed = []
+      for (let r = 1; r <= (Number(numRounds) || 0); r++) {
+        if (teamMembers(id).some(m => playerInfo[m] && !isAvailableIn(playerInfo[m], r))) missed.push(r)
+      }
+      if (missed.length) out[id] = missed
+    })
+    return out
+  }, [entrants, numRounds, playerInfo])
+  // Withdrawn entrants are out from the round they left (see withdraw below).
+  const withdrawnFrom = useMemo(
+    () => Object.fromEntries(withdrawals.map(w => [w.entrant, Number(w.fromRound)])),
+    [withdrawals]
+  )
+  const isAvailable = useMemo(
+    () => (p, r) => !away[p]?.includes(r) && !(r >= withdrawnFrom[p]),
+    [away, withdrawnFrom]
+  )
+  // OFF-round limits only apply to the generated round robin.
+  const offLimits = useMemo(
+    () => (swiss || mixer ? {} : { maxConsecutiveOff, maxOffPerHalf }),
+    [swiss, mixer, maxConsecutiveOff, maxOffPerHalf]
+  )
+
+  // The generated round robin is saved with the tournament under a key of its inputs,
+  // so reloading never reshuffles a schedule that has already been printed.
+  // Withdrawals are part of the key; withdraw() stores the repaired schedule under it.
+  const scheduleInputs = useMemo(() => {
+    const inputs = mixer
+      ? { mixer: teamSeed, groups, numBoards, numRounds }
+      : { groups, numBoards, numRounds, desiredGames }
+    if (Object.keys(away).length) inputs.away = away
+    if (entrantConstraints.length) inputs.rules = entrantConstraints.map(({ kind, a, b, round }) => ({ kind, a, b, round }))
+    if (postProcess.join() !== DEFAULT_POST_PROCESS.join()) inputs.post = postProcess
+    if (offLimits.maxConsecutiveOff !== '' && offLimits.maxConsecutiveOff != null) inputs.offRun = offLimits.maxConsecutiveOff
+    if (offLimits.maxOffPerHalf !== '' && offLimits.maxOffPerHalf != null) inputs.offHalf = offLimits.maxOffPerHalf
+    return inputs
+  }, [mixer, teamSeed, groups, numBoards, numRounds, desiredGames, away, entrantConstraints, postProcess, offLimits])
+  const keyWith = (list) => JSON.stringify(list.length ? { ...scheduleInputs, withdrawn: list } : scheduleInputs)
+  const scheduleKey = useMemo(
+    () => JSON.stringify(withdrawals.length ? { ...scheduleInputs, withdrawn: withdrawals } : scheduleInputs),
+    [scheduleInputs, withdrawals]
+  )
+  const storedSchedule = tournament.generated?.key === scheduleKey ? tournament.generated : null
+  // The round-robin search as plain data, so it can run in a worker (scheduleSearch.js).
+  const searchRequest = useMemo(() => ({
+    groupRounds,
+    boards: numBoards,
+    rounds: numRounds,
+    options: { desiredGames, constraints: entrantConstraints, ...offLimits },
+    post: { steps: postProcess, constraints: entrantConstraints, ...offLimits },
+    away,
+    withdrawnFrom
+  }), [groupRounds, numBoards, numRounds, desiredGames, entrantConstraints, offLimits, postProcess, away, withdrawnFrom])
+  const requestWith = (search) => ({ ...searchRequest, options: { ...searchRequest.options, ...search } })
+
+  // Rendering only runs the quick greedy pass (the mixer is quick throughout).
+  // When it falls short of a target, its draft (marked `pending`) is shown while
+  // the settings are still changing; once they settle, the effect below runs the
+  // full search in a worker and saves what it finds.
+  const generated = useMemo(() => {
+    if (swiss || playoffStage) return null
+    if (storedSchedule) return storedSchedule
+    if (mixer) {
+      const built = buildMixerSchedule(groups[0] || [], numBoards, numRounds, { randomSeed: teamSeed, isAvailable, constraints: entrantConstraints })
+      const processed = postProcessSchedule(built.schedule, { steps: postProcess, boards: numBoards, membersOf: teamMembers, isAvailable, constraints: entrantConstraints })
+      return { key: scheduleKey, schedule: processed.schedule, diagnostics: { ...built.diagnostics, post: processed.reports } }
+    }
+    const draft = { key: scheduleKey, ...runScheduleSearch({ ...searchRequest, options: { ...searchRequest.options, exact: false } }) }
+    return draft.diagnostics.attempts.some(a => a.method === 'greedy' && a.result !== 'equal')
+      ? { ...draft, pending: true }
+      : draft
+  }, [swiss, playoffStage, mixer, storedSchedule, groups, numBoards, numRounds, teamSeed, isAvailable, postProcess, entrantConstraints, scheduleKey, searchRequest])
+
+  useEffect(() => {
+    if (!generated) return
+    if (!generated.pending) {
+      setTournament(t => (t.generated?.key === generated.key ? t : { ...t, generated }))
+      return
+    }
+    let cancel = () => {}
+    const timer = setTimeout(() => {
+      cancel = searchInWorker(searchRequest, found => setTournament(t => ({ ...t, generated: { key: generated.key, ...found } })))
+    }, SEARCH_DELAY_MS)
+    return () => { clearTimeout(timer); cancel() }
+  }, [generated, searchRequest, setTournament])
+
+  // An explicit, longer search for when the quick one fell short of the target.
+  // It runs in a worker too; changing the settings cancels it.
+  const [longSearch, setLongSearch] = useState(null) // { key, cancel }
+  const searchLonger = () => {
+    const key = scheduleKey
+    const cancel = searchInWorker(requestWith({ timeBudgetMs: LONG_SEARCH_MS }), found => {
+      setLongSearch(null)
+      setTournament(t => ({ ...t, generated: { key, ...found } }))
+    })
+    setLongSearch({ key, cancel })
+  }
+  const cancelSearch = () => {
+    longSearch?.cancel()
+    setLongSearch(null)
+  }
+  useEffect(() => {
+    if (longSearch && longSearch.key !== scheduleKey) {
+      longSearch.cancel()
+      setLongSearch(null)
+    }
+  }, [longSearch, scheduleKey])
+  useEffect(() => () => longSearch?.cancel(), [longSearch])
+
+  const diagnostics = generated ? generated.diagnostics : null
+
+  // The schedule used for UI, CSV, and totals:
+  // Swiss keeps boards in standings order (top pairing on board 1).
+  const schedule = useMemo(
+    () => (swiss ? swissRounds : playoffStage ? [] : generated.schedule),
+    [swiss, playoffStage, swissRounds, generated]
+  )
+
+  // Match points per scheduled match, from whichever results match the current pairings
+  const matchScores = useMemo(() => scoresForSchedule(schedule, results), [schedule, results])
+
+  // Status shown in the library: no results yet, under way, or every match final.
+  const status = useMemo(() => {
+    const matches = schedule.flat()
+    const scores = Object.values(matchScores)
+    if (!scores.length) return 'setup'
+    const roundsLeft = swiss && swissRounds.length < (Number(numRounds) || 0)
+    const allFinal = matches.length > 0 && matches.every(m => matchScores[matchKey(m.round, m.board)]?.complete)
+    return allFinal && !roundsLeft ? 'complete' : 'in progress'
+  }, [schedule, matchScores, swiss, swissRounds, numRounds])
+
+  useEffect(() => {
+    setTournament(t => (t.status === status ? t : { ...t, status }))
+  }, [status, setTournament])
+
+  // ---- Withdrawals: keep the rounds already played, re-solve the rest ----
+  // A withdrawal starts after the last round with any result entered, so results
+  // already in always keep their pairings.
+  const firstOpenRound = useMemo(() => {
+    let last = 0
+    schedule.forEach((r, i) => { if (r.some(m => matchScores[matchKey(m.round, m.board)])) last = i + 1 })
+    return last + 1
+  }, [schedule, matchScores])
+
+  const withdraw = (entrant, fromRound) => {
+    const from = Math.max(firstOpenRound, Math.floor(Number(fromRound)) || firstOpenRound)
+    if (from === 1 && schedule.length && !window.confirm(`No results are in yet, so every round is rescheduled without ${nameOf(entrant)}, including any already printed. Continue?`)) return
+    const next = [...withdrawals.filter(w => w.entrant !== entrant), { entrant, fromRound: from }]
+    if (swiss || playoffStage) {
+      setTournament(t => ({ ...t, withdrawals: next }))
+      return
+    }
+    const out = new Set(next.map(w => w.entrant))
+    const stillIn = (p, r) => isAvailable(p, r) && !(p === entrant && r >= from)
+    const repaired = rescheduleRemaining(schedule, groups, from, {
+      withdrawn: [...out],
+      boards: numBoards,
+      desiredGames: diagnostics?.target ?? desiredGames,
+      isAvailable: stillIn,
+      constraints: entrantConstraints,
+      steps: postProcess,
+      mixerSeed: mixer ? teamSeed : undefined,
+      ...offLimits
+    })
+    const changes = scheduleChanges(schedule, repaired.schedule, entrants, membersOf || undefined)
+    setTournament(t => ({
+      ...t,
+      withdrawals: next,
+      generated: {
+        key: keyWith(next),
+        schedule: repaired.schedule,
+        diagnostics: repaired.diagnostics || diagnostics,
+        changes: { entrant, fromRound: from, list: changes }
+      }
+    }))
+  }
+  // Without the withdrawal the schedule is rebuilt from its settings, so rounds
+  // already printed may change.
+  const reinstate = (entrant) => {
+    if (!window.confirm(`Reinstate ${nameOf(entrant)}? The whole schedule is rebuilt from the settings, so printed rounds may change.`)) return
+    setTournament(t => ({ ...t, withdrawals: t.withdrawals.filter(w => w.entrant !== entrant) }))
+  }
+  const dismissChanges = () => setTournament(t => ({ ...t, generated: t.generated && { ...t.generated, changes: null } }))
+
+  const setResult = (m, result) => {
+    setResults(prev => ({ ...prev, [matchKey(m.round, m.board)]: result }))
+  }
+
+  // ---- Swiss round-by-round pairing ----
+  const canPairNext = swiss
+    && swissRounds.length < (Number(numRounds) || 0)
+    && swissRounds.every(r => r.every(m => matchScores[matchKey(m.round, m.board)]?.complete))
+
+  const pairNextSwissRound = () => {
+    const round = swissRounds.length + 1
+    const present = (groups[0] || []).filter(p => isAvailable(p, round))
+    const next = pairSwissRound(present, swissRounds, matchScores, numBoards, round, { constraints: entrantConstraints })
+    setSwissRounds([...swissRounds, next])
+  }
+  const undoSwissRound = () => {
+    const last = swissRounds[swissRounds.length - 1] || []
+    const next = { ...results }
+    last.forEach(m => { delete next[matchKey(m.round, m.board)] })
+    setResults(next)
+    setSwissRounds(swissRounds.slice(0, -1))
+  }
+
+  // Player → Group mapping
+  const playerGroupMap = useMemo(() => {
+    const m = {}
+    groups.forEach((g, gi) => g.forEach(p => (m[p] = gi + 1)))
+    return m
+  }, [groups])
+
+  // Everyone on a mixer side plays the match; elsewhere a side is one entrant.
+  const membersOf = mixer ? teamMembers : null
+  const sidesOf = (m) => (mixer ? [...teamMembers(m.A), ...teamMembers(m.B)] : [m.A, m.B])
+
+  // Games per board for every player (or team), whichever way the boards were set.
+  const boardUsage = useMemo(
+    () => boardHistogram(schedule, numBoards, membersOf || undefined),
+    [schedule, numBoards, membersOf]
+  )
+  // OFF rounds per entrant (waiting at the venue) and who is over the limits.
+  const offRounds = useMemo(
+    () => offRoundReport(schedule, entrants, { isAvailable, membersOf: membersOf || undefined }),
+    [schedule, entrants, isAvailable, membersOf]
+  )
+  const offBreaches = useMemo(() => new Set(offLimitBreaches(offRounds, offLimits)), [offRounds, offLimits])
+  // Clock times per round (null until the TD sets a start time).
+  const times = useMemo(
+    () => roundTimes(numRounds, { startTime, roundMinutes, changeoverMinutes, breaks }),
+    [numRounds, startTime, roundMinutes, changeoverMinutes, breaks]
+  )
+  const startOf = (round) => times?.rounds[round - 1]?.start ?? ''
+  const breaksAfter = (round) => (times ? times.breaks.filter(b => b.afterRound === round) : [])
+
+  // Referee duties for OFF entrants, one board each (see duties.js).
+  const duties = useMemo(() => (dutiesOn
+    ? assignDuties(schedule, entrants, {
+      groupOf: p => playerGroupMap[p],
+      avoidOwnGroup: dutyAvoidOwnGroup && groups.length > 1,
+      isAvailable,
+      membersOf: membersOf || undefined
+    })
+    : []), [dutiesOn, dutyAvoidOwnGroup, schedule, entrants, playerGroupMap, groups, isAvailable, membersOf])
+  const dutyTotals = useMemo(() => dutyCounts(duties, entrants), [duties, entrants])
+  // How often each entrant is side A (first shot, light discs) vs side B.
+  const sideCounts = useMemo(() => {
+    const counts = {}
+    schedule.forEach(round => round.forEach(m => {
+      ;[['A', m.A], ['B', m.B]].forEach(([side, id]) => (membersOf ? membersOf(id) : [id]).forEach(p => {
+        counts[p] = counts[p] || { A: 0, B: 0 }
+        counts[p][side]++
+      }))
+    }))
+    return counts
+  }, [schedule, membersOf])
+
+  // Rules the groups or the schedule could not honour.
+  const violations = checkConstraints(entrantConstraints, { groups, schedule, membersOf: membersOf || undefined, nameOf })
+
+  // Explicit totals: count a game if player appears in A or B for that round
+  const totals = useMemo(() => {
+    const counts = Object.fromEntries(entrants.map(p => [p, 0]))
+    schedule.forEach((roundMatches) => {
+      const playing = new Set()
+      roundMatches.forEach(m => {
+        const sides = membersOf ? [...membersOf(m.A), ...membersOf(m.B)] : [m.A, m.B]
+        sides.forEach(p => playing.add(p))
+      })
+      playing.forEach(p => { if (p in counts) counts[p] += 1 })
+    })
+    return counts
+  }, [entrants, schedule, membersOf])
+
+  // ---- Standings per group, with the TD's tie-break chain ----
+  const standings = useMemo(() => {
+    const chain = tieBreakers.filter(t => t.on).map(t => t.id)
+    return groups.map(g => computeStandings(g, schedule, results, chain, { coinSeed, membersOf: membersOf || undefined }))
+  }, [groups, schedule, results, tieBreakers, coinSeed, membersOf])
+
+  // Current standings, kept with the tournament so a later stage can seed from them.
+  useEffect(() => {
+    const ranking = playoffStage ? null : standings.map(rows => rows.map(r => r.player))
+    setTournament(t => (JSON.stringify(t.ranking) === JSON.stringify(ranking) ? t : { ...t, ranking }))
+  }, [playoffStage, standings, setTournament])
+
+  const seedFromStage = () => {
+    if (Object.keys(results).length && !window.confirm('Seeding replaces the roster and clears this stage\'s results. Continue?')) return
+    const seeded = qualifiersFrom(seedSource.tournament, tournament.seedFrom.perGroup)
+    setTournament(t => ({
+      ...t,
+      roster: seeded.roster,
+      ...(doubles ? { teams: seeded.teams, teamDraw: 'fixed' } : {}),
+      generated: null,
+      results: {},
+      swissRounds: [],
+      withdrawals: []
+    }))
+    setFillCount(seeded.roster.length)
+  }
+
+  const moveTieBreaker = (i, dir) => {
+    const next = [...tieBreakers]
+    const j = i + dir
+    if (j < 0 || j >= next.length) return
+    ;[next[i], next[j]] = [next[j], next[i]]
+    setTieBreakers(next)
+  }
+  const toggleTieBreaker = (i) => {
+    setTieBreakers(tieBreakers.map((t, k) => (k === i ? { ...t, on: !t.on } : t)))
+  }
+
+  // ---- Playoffs: top N of each group from the standings ----
+  // (A playoff stage seeds every entrant by roster seed, then roster order.)
+  const playoffBracket = useMemo(() => {
+    const seedOf = (p) => strengthValue(entrantInfo[p]?.seed) ?? Infinity
+    const ranked = playoffStage
+      ? [[...entrants].sort((p, q) => (seedOf(p) === seedOf(q) ? 0 : seedOf(p) < seedOf(q) ? -1 : 1))]
+      : standings.map(rows => rows.map(r => r.player))
+    const perGroup = playoffStage ? entrants.length : playoffPerGroup
+    const field = seedPlayoffField(ranked, perGroup, nameOf)
+    if (field.length < 2) return null
+    return playoffType === 'double'
+      ? buildDoubleElimination(field, numBoards)
+      : buildSingleElimination(field, numBoards)
+  }, [playoffStage, entrants, entrantInfo, standings, playoffPerGroup, playoffType, numBoards, nameOf])
+
+  const downloadCSV = () => {
+    const csv = toCSVWithOff(entrants, playerGroupMap, schedule, nameOf, membersOf, times ? startOf : null)
+    const blob = new Blob([csv], { type: 'text/csv' })
+    const a = document.createElement('a')
+    a.href = URL.createObjectURL(blob)
+    a.download = 'schedule.csv'
+    a.click()
+  }
+
+  const downloadDutyRoster = () => {
+    const blob = new Blob([toDutyRosterCSV(duties, nameOf)], { type: 'text/csv' })
+    const a = document.createElement('a')
+    a.href = URL.createObjectURL(blob)
+    a.download = 'duty-roster.csv'
+    a.click()
+  }
+
+  const downloadJSON = () => {
+    const doc = exportTournament(tournament, {
+      players: entrants.map(p => ({
+        ...entrantInfo[p],
+        id: p,
+        name: nameOf(p),
+        group: playerGroupMap[p] ?? null
+      })),
+      groups,
+      schedule
+    })
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' })
+    const a = document.createElement('a')
+    a.href = URL.createObjectURL(blob)
+    a.download = `${(tournament.name || 'tournament').replace(/[^\w-]+/g, '_')}.json`
+    a.click()
+  }
+
+  // Assets (place in /public); an uploaded logo replaces the default
+  const logoPath = tournament.logo || DEFAULT_LOGO
+  const IMG_MATCHBLANK = '/Square_Without_Text.png'    // for Match cells & Total (non-BYE)
+  const IMG_POINTS20S = '/Square_With_Text.png'        // for the Points/20s column
+
+  const eventDate = tournament.date
+    ? new Date(`${tournament.date}T00:00:00`).toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' })
+    : ''
+  const tournamentTitle = tournament.title || tournament.name
+  // Each stage prints its own scorecards, headed with its session label.
+  const stageLabel = tournament.stage ? tournament.stage.label || `Stage ${tournament.stage.index}` : ''
+  const tournamentSub = [tournament.subtitle, stageLabel, eventDate].filter(Boolean).join(' • ')
+
+  // ===================== PRINT LAYOUT: 2 CARDS PER PAGE =====================
+  const printStyles = `
+@page {
+  size: Letter portrait;
+  margin: 0.5in; /* standard US Letter margins */
+}
+@media print {
+  body { -webkit-print-color-adjust: exact !important; print-color-adjust: exact !important; background:#fff !important; }
+  .no-print { display: none !important; }
+  .score-grid {
+    display: grid !important;
+    grid-template-columns: 1fr !important;
+    gap: 0.4in !important;
+  }
+  .scorecard {
+    break-inside: avoid !important;
+    page-break-inside: avoid !important;
+    border: 1px solid #e5e7eb !important;
+    height: 4.8in !important; /* 2 per page */
+    box-sizing: border-box !important;
+  }
+  .scorecard .card-header { padding: 8px !important; gap: 8px !important; }
+  .scorecard table { font-size: 12px !important; }
+  .scorecard:nth-of-type(2n) { break-after: page !important; page-break-after: always !important; }
+  .playoffs { break-before: page !important; page-break-before: always !important; }
+  .playoffs .bracket-match { break-inside: avoid !important; }
+}
+`
+
+  // ==== Cell Styles ====
+  const squareCell = { border:'1px solid #e5e7eb', padding:'0 6px', width:40, height:40, lineHeight:'40px', textAlign:'center', verticalAlign:'middle', boxSizing:'border-box' }
+  const squareCellOffRow = { ...squareCell, background:'#000', color:'#fff' }
+  const squareWithImage = (img) => ({ ...squareCell, backgroundImage:`url(${img})`, backgroundSize:'cover', backgroundRepeat:'no-repeat', backgroundPosition:'center' })
+
+  const flexCell = { border:'1px solid #e5e7eb', padding:'6px 8px', height:40, lineHeight:'40px', textAlign:'center', verticalAlign:'middle' }
+  const flexCellLeft = { ...flexCell, textAlign:'left' }
+  const flexCellOffRow = { ...flexCell, background:'#000', color:'#fff' }
+  const flexCellLeftOffRow = { ...flexCellLeft, background:'#000', color:'#fff' }
+  const breakCell = { border:'1px solid #e5e7eb', padding:'4px 8px', textAlign:'center', fontWeight:600, background:'#f3f4f6' }
+
+  const headerCell = { border:'1px solid #e5e7eb', background:'#f3f4f6', padding:'6px 8px', textAlign:'center', fontWeight:700, fontSize:13, lineHeight:'16px', whiteSpace:'nowrap', height:'auto', verticalAlign:'middle' }
+
+  // Column widths (Points column restored)
+  const W = { game:60, time:56, table:70, opponent:200, points:40, match:40, total:40, oppInit:40 }
+  const cardColumns = times ? 10 : 9
+
+  const TwoLineHeader = ({ top, bottom }) => (
+    <div style={{ display:'flex', flexDirection:'column', alignItems:'center', lineHeight:'14px' }}>
+      <span>{top}</span>
+      <span>{bottom}</span>
+    </div>
+  )
+
+  return (
+    <div style={{ maxWidth:1200, margin:'24px auto', padding:'0 16px' }}>
+      <style>{printStyles}</style>
+
+      <div className="no-print" style={{ display:'flex', alignItems:'center', gap:12 }}>
+        <h1 style={{ flex:1 }}>Crokinole Round-Robin Scheduler</h1>
+        <button onClick={onOpenLibrary} style={{ padding:'8px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+          Tournament Library
+        </button>
+      </div>
+      <div className="no-print" style={{ marginTop:-8, marginBottom:16, color:'#64748b' }}>
+        {[tournament.name, tournament.division, eventDate].filter(Boolean).join(' • ')}
+      </div>
+
+      <div className="no-print" style={{ marginBottom:16 }}>
+        <EventDetails tournament={tournament} onChange={updateDetails} />
+      </div>
+
+      <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16 }}>
+        <div style={{ fontWeight:600, marginBottom:8 }}>Stages</div>
+        <StagePanel entryId={entryId} stage={tournament.stage} stages={stages} seedFrom={tournament.seedFrom} source={seedSource}
+          onChange={updateDetails} onOpenStage={onOpenStage} onAddStage={onAddStage} onSeed={seedFromStage} />
+      </div>
+
+
+      {/* Controls */}
+      <div className="no-print" style={{ display:'grid', gridTemplateColumns:'380px 1fr', gap:16, alignItems:'start', marginBottom:16 }}>
+        <div style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12 }}>
+          <div style={{ fontWeight:600, marginBottom:8 }}>Tournament Settings</div>
+
+          <label style={{ display:'block', marginBottom:8 }}>Play
+            <select value={playMode} onChange={e=>setPlayMode(e.target.value)} style={{ width:'100%', marginTop:4 }}>
+              <option value="singles">Singles</option>
+              <option value="doubles">Doubles (teams of two)</option>
+              <option value="mixer">Mixer (new partners each round)</option>
+            </select>
+          </label>
+          {doubles && (
+            <label style={{ display:'block', marginBottom:8 }}>Partners
+              <select value={teamDraw} onChange={e=>setTeamDraw(e.target.value)} style={{ width:'100%', marginTop:4 }}>
+                <option value="fixed">Fixed (entered by the TD)</option>
+                <option value="random">Random draw (seeded)</option>
+              </select>
+            </label>
+          )}
+          {doubles && teamDraw === 'random' && (
+            <label style={{ display:'block', marginBottom:8 }}>Draw seed
+              <input type="number" step="1" value={teamSeed} onChange={e=>setTeamSeed(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+            </label>
+          )}
+          {mixer && (
+            <label style={{ display:'block', marginBottom:8 }}>Mixer seed
+              <input type="number" step="1" value={teamSeed} onChange={e=>setTeamSeed(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+            </label>
+          )}
+          {!mixer && (
+            <label style={{ display:'block', marginBottom:8 }}>Format
+              <select value={format} onChange={e=>setFormat(e.target.value)} style={{ width:'100%', marginTop:4 }}>
+                <option value="roundRobin">Round robin</option>
+                <option value="swiss">Swiss</option>
+                <option value="playoff">Playoff bracket only</option>
+              </select>
+            </label>
+          )}
+          {!swiss && !mixer && !playoffStage && (
+            <label style={{ display:'block', marginBottom:8 }}>Groups
+              <input type="number" step="1" min="1" value={numGroups} onChange={e=>setNumGroups(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+            </label>
+          )}
+          {!mixer && (
+            <label style={{ display:'block', marginBottom:8 }}>Group seeding
+              <select value={seedingMethod} onChange={e=>setSeedingMethod(e.target.value)} style={{ width:'100%', marginTop:4 }}>
+                {SEEDING_METHODS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+              </select>
+            </label>
+          )}
+          {!mixer && seedingMethod === 'random' && (
+            <label style={{ display:'block', marginBottom:8 }}>Random seed
+              <input type="number" step="1" value={randomSeed} onChange={e=>setRandomSeed(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+            </label>
+          )}
+          <label style={{ display:'block', marginBottom:8 }}>Boards
+            <input type="number" step="1" min="1" value={numBoards} onChange={e=>setNumBoards(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+          </label>
+          <label style={{ display:'block', marginBottom:8 }}>Rounds
+            <input type="number" step="1" min="1" value={numRounds} onChange={e=>setNumRounds(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+          </label>
+          {!swiss && !mixer && (
+            <label style={{ display:'block', marginBottom:8 }}>Games per {entrantLabel.toLowerCase()}
+              <input type="number" step="1" min="0" placeholder="Full round robin" value={desiredGames} onChange={e=>setDesiredGames(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+            </label>
+          )}
+          {!swiss && !mixer && (
+            <>
+              <label style={{ display:'block', marginBottom:8 }}>Max OFF rounds in a row
+                <input type="number" step="1" min="0" placeholder="No limit" value={maxConsecutiveOff} onChange={e=>setMaxConsecutiveOff(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+              </label>
+              <label style={{ display:'block', marginBottom:8 }}>Max OFF rounds per half
+                <input type="number" step="1" min="0" placeholder="No limit" value={maxOffPerHalf} onChange={e=>setMaxOffPerHalf(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+              </label>
+            </>
+          )}
+
+          {swiss && (
+            <div style={{ marginBottom:8 }}>
+              <button onClick={pairNextSwissRound} disabled={!canPairNext} style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background: canPairNext ? '#1d4ed8' : '#94a3b8', color:'#fff', cursor: canPairNext ? 'pointer' : 'default' }}>
+                Pair Round {swissRounds.length + 1}
+              </button>
+              <button onClick={undoSwissRound} disabled={!swissRounds.length} style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background:'#475569', color:'#fff', cursor:'pointer' }}>
+                Undo Last Round
+              </button>
+              <div style={{ marginTop:6, fontSize:12, color:'#64748b' }}>
+                {swissRounds.length >= (Number(numRounds) || 0)
+                  ? 'All rounds paired.'
+                  : 'Enter all four games of every match in Match Overview to pair the next round.'}
+              </div>
+            </div>
+          )}
+
+          {!swiss && (
+            <div style={{ marginBottom:8 }}>
+              <div>After scheduling</div>
+              {DEFAULT_POST_PROCESS.map(id => (
+                <label key={id} style={{ display:'block', fontSize:13, marginTop:2 }}>
+                  <input type="checkbox" checked={postProcess.includes(id)}
+                    onChange={()=>setPostProcess(DEFAULT_POST_PROCESS.filter(s => (s === id ? !postProcess.includes(id) : postProcess.includes(s))))} />
+                  {' '}{POST_PROCESS_STEPS[id].label}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div style={{ marginBottom:8 }}>
+            <label style={{ display:'block' }}>
+              <input type="checkbox" checked={dutiesOn} onChange={e=>setDutiesOn(e.target.checked)} />
+              {' '}Referee duties for OFF {entrantLabel.toLowerCase()}s
+            </label>
+            {dutiesOn && groups.length > 1 && (
+              <label style={{ display:'block', fontSize:13, marginTop:2 }}>
+                <input type="checkbox" checked={dutyAvoidOwnGroup} onChange={e=>setDutyAvoidOwnGroup(e.target.checked)} />
+                {' '}Not for matches in their own group
+              </label>
+            )}
+          </div>
+
+          {!playoffStage && (
+            <label style={{ display:'block', marginBottom:8 }}>Playoff qualifiers per group
+              <input type="number" step="1" min="0" value={playoffPerGroup} onChange={e=>setPlayoffPerGroup(e.target.value)} style={{ width:'100%', marginTop:4 }} />
+            </label>
+          )}
+          {(playoffStage || Number(playoffPerGroup) > 0) && (
+            <label style={{ display:'block', marginBottom:8 }}>Playoff format
+              <select value={playoffType} onChange={e=>setPlayoffType(e.target.value)} style={{ width:'100%', marginTop:4 }}>
+                <option value="single">Single elimination</option>
+                <option value="double">Double elimination</option>
+              </select>
+            </label>
+          )}
+
+          <button onClick={downloadCSV} style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background:'#15803d', color:'#fff', cursor:'pointer' }}>
+            Download CSV (with OFF)
+          </button>
+          {dutiesOn && (
+            <button onClick={downloadDutyRoster} style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background:'#15803d', color:'#fff', cursor:'pointer' }}>
+              Download Duty Roster (CSV)
+            </button>
+          )}
+          <button onClick={downloadJSON} style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background:'#0e7490', color:'#fff', cursor:'pointer' }}>
+            Export Tournament (JSON)
+          </button>
+          <button onClick={()=>window.print()} className="no-print" style={{ width:'100%', marginTop:8, padding:'10px 12px', borderRadius:6, border:0, background:'#0f172a', color:'#fff', cursor:'pointer' }}>
+            Print Scorecards
+          </button>
+        </div>
+
+        {/* Player Roster */}
+        <div style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12, minWidth:0 }}>
+          <div style={{ display:'flex', alignItems:'center', gap:8, marginBottom:8, flexWrap:'wrap' }}>
+            <div style={{ fontWeight:600, flex:1 }}>Players ({roster.length})</div>
+            <input type="number" step="1" min="0" value={fillCount} onChange={e=>setFillCount(e.target.value)} style={{ width:64 }} />
+            <button onClick={()=>setRoster(buildPlayers(Number(fillCount)||0).map(name => createPlayer({ name })))} style={{ padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+              Prefill P1…P{fillCount}
+            </button>
+            <button onClick={()=>setShowRosterImport(!showRosterImport)} style={{ padding:'6px 12px', borderRadius:6, border:0, background:'#0e7490', color:'#fff', cursor:'pointer' }}>
+              Import Roster CSV…
+            </button>
+          </div>
+          <RosterEditor roster={roster} onChange={setRoster} />
+
+          {doubles && (
+            <div style={{ marginTop:16 }}>
+              <div style={{ fontWeight:600, marginBottom:8 }}>Teams ({teamDrawResult.teams.length})</div>
+              <TeamEditor roster={roster} nameOf={nameOf} draw={teamDraw} pairs={teamPairs}
+                teams={teamDrawResult.teams} unpaired={teamDrawResult.unpaired} onChange={setTeamPairs} />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showRosterImport && (
+        <div className="no-print" style={{ marginBottom:16 }}>
+          <RosterImport existingNames={players.map(nameOf)} onImport={importRoster} onClose={()=>setShowRosterImport(false)} />
+        </div>
+      )}
+
+      {/* Mixer rotation summary */}
+      {diagnostics?.mixer && (
+        <div className="no-print" style={{ background:'#f8fafc', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16, fontSize:13 }}>
+          <strong>Mixer rotation:</strong> {diagnostics.mixer.repeatPartners} repeat partnership(s), {diagnostics.mixer.repeatOpponents} repeat opponent pairing(s).
+          {Object.values(diagnostics.mixer.sitOuts).some(n => n > 0) && (
+            <> Sit-outs: {Object.entries(diagnostics.mixer.sitOuts).filter(([, n]) => n > 0).map(([p, n]) => `${nameOf(p)} ×${n}`).join(', ')}.</>
+          )}
+        </div>
+      )}
+
+      {/* Pairing rules */}
+      <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16 }}>
+        <div style={{ fontWeight:600, marginBottom:8 }}>
+          Pairing Rules ({constraints.length})
+          {violations.length > 0 && (
+            <span style={{ marginLeft:8, fontWeight:400, fontSize:13, color:'#b91c1c' }}>{violations.length} could not be satisfied</span>
+          )}
+        </div>
+        <ConstraintEditor roster={roster} nameOf={nameOf} constraints={constraints} violations={violations} onChange={setConstraints} />
+      </div>
+
+      {/* Round times */}
+      <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16 }}>
+        <div style={{ fontWeight:600, marginBottom:8 }}>Round Times</div>
+        <TimingEditor startTime={startTime} roundMinutes={roundMinutes} changeoverMinutes={changeoverMinutes} breaks={breaks}
+          times={times} onChange={patch => setTournament(t => ({ ...t, ...patch }))} />
+      </div>
+
+      {/* Withdrawals */}
+      {!playoffStage && schedule.length > 0 && (
+        <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16 }}>
+          <div style={{ fontWeight:600, marginBottom:8 }}>Withdrawals ({withdrawals.length})</div>
+          <WithdrawalPanel entrants={entrants} nameOf={nameOf} entrantLabel={entrantLabel} withdrawals={withdrawals}
+            firstOpenRound={firstOpenRound} changes={tournament.generated?.changes} onWithdraw={withdraw} onReinstate={reinstate} onDismissChanges={dismissChanges} />
+        </div>
+      )}
+
+      {/* Partial attendance */}
+      {diagnostics?.partial?.length > 0 && (
+        <div className="no-print" style={{ background:'#f8fafc', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16, fontSize:13 }}>
+          <strong>Partial attendance:</strong>{' '}
+          {diagnostics.partial.map(p => `${nameOf(p.player)} plays ${p.games} (available ${p.available} of ${numRounds} rounds)`).join('; ')}.
+          {' '}Everyone else plays {diagnostics.target}.
+        </div>
+      )}
+
+      {/* Scheduling warnings */}
+      {generated?.pending && (
+        <div className="no-print" style={{ background:'#f8fafc', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:16, fontSize:13, color:'#475569' }}>
+          Looking for a schedule with more than {diagnostics.target} games per player…
+        </div>
+      )}
+      {diagnostics && !generated?.pending && diagnostics.target < diagnostics.desired && (
+        <div className="no-print" style={{ background:'#fffbeb', border:'1px solid #f59e0b', borderRadius:8, padding:12, marginBottom:16, color:'#78350f' }}>
+          <div style={{ fontWeight:600, marginBottom:6 }}>
+            {diagnostics.target === 0
+              ? `No equal schedule is possible — every round is empty (wanted ${diagnostics.desired} games per player).`
+              : `Scheduled ${diagnostics.target} games per player instead of ${diagnostics.desired}.`}
+          </div>
+          <div style={{ fontSize:13, marginBottom:6 }}>
+            Caps — boards: {diagnostics.caps.boards}, rounds: {diagnostics.caps.rounds}, opponents: {diagnostics.caps.opponents}
+            {diagnostics.binding.length > 0 && <> (limited by {diagnostics.binding.join(', ')})</>}
+          </div>
+          {diagnostics.attempts.some(a => a.result !== 'equal' && a.result !== 'found') && (
+            <ul style={{ fontSize:13, margin:'0 0 6px', paddingLeft:18 }}>
+              {diagnostics.attempts.filter(a => a.result !== 'equal' && a.result !== 'found').map((a, i) => (
+                <li key={i}>
+                  {a.target} games: {a.method === 'check'
+                    ? CHECK_REASONS[a.result]
+                    : a.result === 'offLimits'
+                    ? 'greedy pass broke the OFF-round limits'
+                    : a.method === 'greedy'
+                    ? `greedy pass left ${a.short.map(s => `${nameOf(s.player)} (${s.games})`).join(', ')} short`
+                    : a.method === 'matching'
+                    ? 'matching search ran out of time'
+                    : a.result === 'timeout' ? 'exact search ran out of time' : 'exact search proved it impossible'}
+                </li>
+              ))}
+            </ul>
+          )}
+          <ul style={{ fontSize:13, margin:0, paddingLeft:18 }}>
+            {diagnostics.suggestions.map((s, i) => <li key={i}><strong>{s.kind}:</strong> {s.message}</li>)}
+          </ul>
+          {status === 'setup' && diagnostics.attempts.some(a => a.result === 'timeout') && (longSearch
+            ? <div style={{ marginTop:8, display:'flex', alignItems:'center', gap:8 }}>
+                <span style={{ fontSize:13 }}>Searching (up to {LONG_SEARCH_MS / 1000} s)…</span>
+                <button onClick={cancelSearch} style={{ padding:'6px 12px' }}>Cancel</button>
+              </div>
+            : <button onClick={searchLonger} style={{ marginTop:8, padding:'6px 12px' }}>
+                Search longer (up to {LONG_SEARCH_MS / 1000} s)
+              </button>
+          )}
+        </div>
+      )}
+
+      {/* Scorecards (a playoff stage prints only its bracket) */}
+      {!playoffStage && (
+        <>
+          <h2 className="no-print">Scorecards</h2>
+          <div className="score-grid" style={{ display:'grid', gridTemplateColumns:'repeat(2, 1fr)', gap:16 }}>
+            {entrants.map(pid => (
+              <div key={pid} className="scorecard" style={{ border:'1px solid #e5e7eb', borderRadius:8, background:'white' }}>
+                <div className="card-header" style={{ display:'flex', alignItems:'center', gap:12, padding:12, borderBottom:'1px solid #e5e7eb' }}>
+                  <img src={logoPath} alt="Logo" style={{ height:36 }} />
+                  <div style={{ flex:1 }}>
+                    <div style={{ fontWeight:700 }}>{tournamentTitle}</div>
+                    <div style={{ fontSize:12, color:'#64748b' }}>{tournamentSub}</div>
+                    {doubles ? (
+                      <div style={{ marginTop:6, fontSize:14 }}><strong>Team:</strong> {entrantInfo[pid].members.map(nameOf).join(' & ')}</div>
+                    ) : (
+                      <div style={{ marginTop:6, fontSize:14 }}><strong>Player:</strong> {nameOf(pid)}</div>
+                    )}
+                  </div>
+                  <div style={{ color:'#64748b', fontSize:12 }}>Group {playerGroupMap[pid] || ''}</div>
+                </div>
+
+                <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13, tableLayout:'fixed' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headerCell, width: W.game }}>Game #</th>
+                      {times && <th style={{ ...headerCell, width: W.time }}>Time</th>}
+                      <th style={{ ...headerCell, width: W.table }}>Table #</th>
+                      <th style={{ ...headerCell, width: W.opponent }}>{doubles ? 'Opponents' : mixer ? 'Partner & Opponents' : 'Opponent'}</th>
+
+                      {/* Points/20s column (header intentionally blank to match prior design) */}
+                      <th style={{ ...headerCell, width: W.points }}></th>
+
+                      {['1','2','3','4'].map(num => (
+                        <th key={num} style={{ ...headerCell, width: W.match, padding:'4px 6px' }}>
+                          <TwoLineHeader top="Match" bottom={num} />
+                        </th>
+                      ))}
+                      <th style={{ ...headerCell, width: W.total }}>Total</th>
+                      <th style={{ ...headerCell, width: W.oppInit, padding:'4px 6px' }}>
+                        <TwoLineHeader top="Opp" bottom="Initials" />
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {schedule.map((round, idx) => {
+                      const m = round.find(x => sidesOf(x).includes(pid))
+                      const isOff = !m
+                      const mine = isOff ? null : (m.A === pid || (mixer && teamMembers(m.A).includes(pid)) ? m.A : m.B)
+                      const partner = mixer && mine ? teamMembers(mine).filter(q => q !== pid).map(nameOf).join(' & ') : ''
+                      const duty = isOff ? (duties[idx] || []).find(d => d.referee === pid) : null
+                      const opp = isOff
+                        ? (duty ? `Referee board ${duty.board}: ${nameOf(duty.A)} vs ${nameOf(duty.B)}` : '')
+                        : `${partner ? `with ${partner} vs ` : ''}${nameOf(mine === m.A ? m.B : m.A)}`
+                      const table = isOff ? 'OFF' : m.board
+                      return (
+                        <React.Fragment key={idx}>
+                          {idx === 0 && breaksAfter(0).map((b, k) => (
+                            <tr key={`b0-${k}`}><td colSpan={cardColumns} style={breakCell}>{b.name} {b.start}–{b.end}</td></tr>
+                          ))}
+                          <tr>
+                            <td style={isOff ? flexCellOffRow : flexCell}>{idx+1}</td>
+                            {times && <td style={isOff ? flexCellOffRow : flexCell}>{startOf(idx + 1)}</td>}
+                            <td style={isOff ? flexCellOffRow : flexCell}>{table}</td>
+                            <td style={isOff ? flexCellLeftOffRow : flexCellLeft}>{opp}</td>
+
+                            {/* Points/20s image (or blacked out on OFF) */}
+                            <td style={isOff ? squareCellOffRow : squareWithImage(IMG_POINTS20S)}></td>
+
+                            {[0,1,2,3].map(i => (
+                              <td key={i} style={isOff ? squareCellOffRow : squareWithImage(IMG_MATCHBLANK)}></td>
+                            ))}
+                            <td style={isOff ? squareCellOffRow : squareWithImage(IMG_MATCHBLANK)}></td>
+                            <td style={isOff ? squareCellOffRow : squareCell}></td>
+                          </tr>
+                          {breaksAfter(idx + 1).map((b, k) => (
+                            <tr key={`b${idx + 1}-${k}`}><td colSpan={cardColumns} style={breakCell}>{b.name} {b.start}–{b.end}</td></tr>
+                          ))}
+                        </React.Fragment>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {/* Playoff bracket (prints after the scorecards) */}
+      {playoffBracket && (
+        <div className="playoffs" style={{ marginTop:24 }}>
+          <h2>{tournamentTitle} — Playoffs ({playoffBracket.type === 'double' ? 'Double' : 'Single'} Elimination)</h2>
+          <div style={{ fontSize:12, color:'#64748b', marginBottom:8 }}>
+            Seeds: {playoffBracket.entrants.map(e => `${e.label} ${e.name}`).join(' • ')}
+          </div>
+          <div style={{ display:'flex', flexWrap:'wrap', gap:16, alignItems:'flex-start' }}>
+            {playoffBracket.rounds.map(r => (
+              <div key={r.name} style={{ minWidth:200 }}>
+                <div style={{ fontWeight:700, marginBottom:6 }}>{r.name}</div>
+                {r.matches.map(m => (
+                  <div key={m.id} className="bracket-match" style={{ border:'1px solid #e5e7eb', borderRadius:6, background:'#fff', marginBottom:8, fontSize:13, opacity: m.walkover ? 0.6 : 1 }}>
+                    <div style={{ background:'#f3f4f6', padding:'2px 6px', fontSize:11, color:'#475569' }}>
+                      {m.id} {m.walkover ? '· walkover' : `· Board ${m.board}${m.wave > 1 ? ` (wave ${m.wave})` : ''}`}
+                    </div>
+                    <div style={{ padding:'4px 6px', borderBottom:'1px solid #e5e7eb' }}>{m.A}</div>
+                    <div style={{ padding:'4px 6px' }}>{m.B}</div>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Group play only: a playoff stage has no rounds, standings or board usage */}
+      {!playoffStage && (
+        <>
+          {/* Match Overview (non-print) */}
+          <h2 className="no-print" style={{ marginTop:24 }}>Match Overview</h2>
+          <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, overflow:'hidden' }}>
+            <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13 }}>
+              <thead>
+                <tr style={{ background:'#f3f4f6' }}>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Round</th>
+                  {times && <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Time</th>}
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Board</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Group</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>{sideLabel} A</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>{sideLabel} B</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Points</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>20s</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.flat().sort((a,b)=> a.round - b.round || a.board - b.board).map((m)=>{
+                  const key = matchKey(m.round, m.board)
+                  const result = resultFor(results, m)
+                  const sum = summarizeResult(result)
+                  const entered = sum.entered > 0 || sum.errors > 0
+                  return (
+                    <React.Fragment key={key}>
+                      <tr>
+                        <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.round}</td>
+                        {times && <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{startOf(m.round)}</td>}
+                        <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.board}</td>
+                        <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{m.group ?? ''}</td>
+                        <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{nameOf(m.A)}</td>
+                        <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{nameOf(m.B)}</td>
+                        <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{entered ? `${sum.pointsA}–${sum.pointsB}` : ''}</td>
+                        <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{entered ? `${sum.twentiesA}–${sum.twentiesB}` : ''}</td>
+                        <td style={{ border:'1px solid #e5e7eb', padding:6, whiteSpace:'nowrap' }}>
+                          <span style={{ marginRight:8, color: sum.errors ? '#b91c1c' : sum.complete ? '#15803d' : '#64748b' }}>
+                            {sum.errors ? 'Check entries' : sum.complete ? 'Final' : entered ? `${sum.entered}/4` : ''}
+                          </span>
+                          <button onClick={()=>setEditingKey(editingKey === key ? null : key)} style={{ padding:'2px 8px', borderRadius:6, border:'1px solid #cbd5e1', background:'#fff', cursor:'pointer' }}>
+                            {editingKey === key ? 'Close' : entered ? 'Edit' : 'Enter'}
+                          </button>
+                        </td>
+                      </tr>
+                      {editingKey === key && (
+                        <tr>
+                          <td colSpan={times ? 9 : 8} style={{ border:'1px solid #e5e7eb', padding:0 }}>
+                            <ResultEditor match={m} nameOf={nameOf} result={result || emptyResult(m)} onChange={r=>setResult(m, r)} onClose={()=>setEditingKey(null)} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Standings (non-print) */}
+          <h2 className="no-print" style={{ marginTop:24 }}>Standings</h2>
+          <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:12, marginBottom:12 }}>
+            <div style={{ fontWeight:600, marginBottom:6 }}>Tie-breakers (applied top to bottom)</div>
+            {tieBreakers.map((t, i) => (
+              <div key={t.id} style={{ display:'flex', alignItems:'center', gap:8, fontSize:13, marginBottom:4 }}>
+                <input type="checkbox" checked={t.on} onChange={()=>toggleTieBreaker(i)} />
+                <span style={{ flex:1, color: t.on ? 'inherit' : '#94a3b8' }}>{TIE_BREAKERS.find(x => x.id === t.id)?.label}</span>
+                <button onClick={()=>moveTieBreaker(i, -1)} disabled={i === 0} style={{ padding:'0 8px' }}>↑</button>
+                <button onClick={()=>moveTieBreaker(i, 1)} disabled={i === tieBreakers.length - 1} style={{ padding:'0 8px' }}>↓</button>
+              </div>
+            ))}
+            {tieBreakers.some(t => t.id === 'coinFlip' && t.on) && (
+              <label style={{ display:'block', fontSize:13, marginTop:6 }}>Coin flip seed{' '}
+                <input type="number" step="1" value={coinSeed} onChange={e=>setCoinSeed(e.target.value)} style={{ width:80 }} />
+              </label>
+            )}
+          </div>
+          {standings.map((rows, gi) => (
+            <div key={gi} className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, overflow:'hidden', marginBottom:12 }}>
+              <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13 }}>
+                <thead>
+                  <tr style={{ background: '#f3f4f6' }}>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>{standings.length > 1 ? `Group ${gi + 1}` : '#'}</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>{entrantLabel}</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Matches</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Points</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>W–T–L</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>20s</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Diff</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>SoS</th>
+                    <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Tie-break</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(r => (
+                    <tr key={r.player}>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{r.rank}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{nameOf(r.player)}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{r.played} / {totals[r.player] ?? 0}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6, fontWeight:600 }}>{r.points}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{r.won}–{r.tied}–{r.lost}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{r.twenties}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{r.differential > 0 ? `+${r.differential}` : r.differential}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{r.buchholz}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6, color:'#64748b' }}>{r.decidedBy}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          {/* Board usage (non-print) */}
+          <h2 className="no-print" style={{ marginTop:24 }}>Board Usage and OFF Rounds</h2>
+          <div className="no-print" style={{ background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, overflow:'auto', marginBottom:12 }}>
+            <table style={{ width:'100%', borderCollapse:'collapse', fontSize:13 }}>
+              <thead>
+                <tr style={{ background:'#f3f4f6' }}>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>{entrantLabel}</th>
+                  {Array.from({ length: Math.max(1, Number(numBoards) || 1) }, (_, b) => (
+                    <th key={b} style={{ border:'1px solid #e5e7eb', padding:6 }}>Board {b + 1}</th>
+                  ))}
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Spread</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Side A / B</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>OFF</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Longest OFF</th>
+                  <th style={{ border:'1px solid #e5e7eb', padding:6 }}>OFF 1st / 2nd half</th>
+                  {dutiesOn && <th style={{ border:'1px solid #e5e7eb', padding:6 }}>Duties</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {entrants.map(p => {
+                  const counts = Array.from({ length: Math.max(1, Number(numBoards) || 1) }, (_, b) => boardUsage[p]?.[b] || 0)
+                  const spread = Math.max(...counts) - Math.min(...counts)
+                  const off = offRounds[p] || { off: 0, longest: 0, firstHalf: 0, secondHalf: 0 }
+                  const overLimit = offBreaches.has(p)
+                  return (
+                    <tr key={p}>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6 }}>{nameOf(p)}</td>
+                      {counts.map((c, b) => (
+                        <td key={b} style={{ border:'1px solid #e5e7eb', padding:6, textAlign:'center', color: c ? 'inherit' : '#94a3b8' }}>{c}</td>
+                      ))}
+                      <td style={{ border:'1px solid #e5e7eb', padding:6, textAlign:'center', fontWeight: spread > 1 ? 600 : 400, color: spread > 1 ? '#b45309' : 'inherit' }}>{spread}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6, textAlign:'center' }}>{sideCounts[p]?.A || 0} / {sideCounts[p]?.B || 0}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6, textAlign:'center' }}>{off.off}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6, textAlign:'center', fontWeight: overLimit ? 600 : 400, color: overLimit ? '#b91c1c' : 'inherit' }}>{off.longest}</td>
+                      <td style={{ border:'1px solid #e5e7eb', padding:6, textAlign:'center', fontWeight: overLimit ? 600 : 400, color: overLimit ? '#b91c1c' : 'inherit' }}>{off.firstHalf} / {off.secondHalf}</td>
+                      {dutiesOn && <td style={{ border:'1px solid #e5e7eb', padding:6, textAlign:'center' }}>{dutyTotals[p] || 0}</td>}
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
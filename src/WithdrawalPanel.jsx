@@ -0,0 +1,91 @@
+import React, { useState } from 'react'
+
+const cell = { border:'1px solid #e5e7eb', padding:'4px 6px' }
+const iconButton = { padding:'0 6px', border:'1px solid #cbd5e1', borderRadius:4, background:'#fff', cursor:'pointer' }
+
+// Entrants who leave part way through. Withdrawing keeps every round before
+// `fromRound` as printed and re-solves the rest; `changes` is the last such
+// repair ({ entrant, fromRound, list } from scheduleChanges), listed so the
+// affected scorecards can be reprinted. onWithdraw(entrant, fromRound),
+// onReinstate(entrant) and onDismissChanges() are handled by the tournament view.
+export default function WithdrawalPanel({ entrants, nameOf, entrantLabel, withdrawals, firstOpenRound, changes, onWithdraw, onReinstate, onDismissChanges }) {
+  const [entrant, setEntrant] = useState('')
+  const [fromRound, setFromRound] = useState('')
+  const out = new Set(withdrawals.map(w => w.entrant))
+  const playing = entrants.filter(p => !out.has(p))
+  const slot = (s) => (s ? `Board ${s.board} vs ${nameOf(s.opponent)}` : 'OFF')
+
+  const submit = () => {
+    if (!entrant) return
+    onWithdraw(entrant, fromRound || firstOpenRound)
+    setEntrant('')
+    setFromRound('')
+  }
+
+  return (
+    <div style={{ fontSize:13 }}>
+      <div style={{ display:'flex', alignItems:'center', gap:8, flexWrap:'wrap' }}>
+        <select value={entrant} onChange={e=>setEntrant(e.target.value)}>
+          <option value="">{entrantLabel}…</option>
+          {playing.map(p => <option key={p} value={p}>{nameOf(p)}</option>)}
+        </select>
+        <label>from round
+          <input type="number" step="1" min={firstOpenRound} value={fromRound} placeholder={String(firstOpenRound)} onChange={e=>setFromRound(e.target.value)} style={{ marginLeft:8, width:56 }} />
+        </label>
+        <button onClick={submit} disabled={!entrant} style={{ padding:'6px 12px', borderRadius:6, border:0, background:'#334155', color:'#fff', cursor:'pointer' }}>
+          Withdraw
+        </button>
+        <span style={{ color:'#64748b' }}>
+          Earlier rounds stay as they are; the rounds after are rescheduled.
+          {firstOpenRound > 1 && ` ${firstOpenRound === 2 ? 'Round 1 has' : `Rounds 1–${firstOpenRound - 1} have`} results, so the earliest is round ${firstOpenRound}.`}
+        </span>
+      </div>
+
+      {withdrawals.length > 0 && (
+        <div style={{ display:'flex', gap:8, flexWrap:'wrap', marginTop:8 }}>
+          {withdrawals.map(w => (
+            <span key={w.entrant} style={{ padding:'2px 8px', border:'1px solid #cbd5e1', borderRadius:12, background:'#f8fafc' }}>
+              {nameOf(w.entrant)} · out from round {w.fromRound}{' '}
+              <button onClick={()=>onReinstate(w.entrant)} style={{ ...iconButton, color:'#b91c1c' }} title="Reinstate">✕</button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {changes && (
+        <div style={{ marginTop:12 }}>
+          <div style={{ display:'flex', alignItems:'center', gap:8, marginBottom:6 }}>
+            <strong>Changes for reprint</strong>
+            <span style={{ color:'#64748b' }}>
+              after {nameOf(changes.entrant)} withdrew from round {changes.fromRound}
+              {' '}({changes.list.length ? `${changes.list.length} changed` : 'nothing else changed'})
+            </span>
+            <button onClick={onDismissChanges} style={{ marginLeft:'auto', padding:'4px 10px' }}>Dismiss</button>
+          </div>
+          {changes.list.length > 0 && (
+            <table style={{ width:'100%', maxWidth:640, borderCollapse:'collapse', tableLayout:'fixed' }}>
+              <thead>
+                <tr style={{ background:'#f3f4f6' }}>
+                  <th style={{ ...cell, width:60 }}>Round</th>
+                  <th style={cell}>{entrantLabel}</th>
+                  <th style={cell}>Was</th>
+                  <th style={cell}>Now</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.list.map(c => (
+                  <tr key={`${c.round}:${c.entrant}`}>
+                    <td style={{ ...cell, textAlign:'center' }}>{c.round}</td>
+                    <td style={cell}>{nameOf(c.entrant)}</td>
+                    <td style={{ ...cell, color:'#64748b' }}>{slot(c.before)}</td>
+                    <td style={{ ...cell, fontWeight:600 }}>{!c.after && out.has(c.entrant) ? 'Withdrawn' : slot(c.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,80 @@
+// =============== REFEREE DUTIES ===============
+// Exports used by the app:
+// - assignDuties      <-- gives OFF entrants a board to officiate, spread evenly
+// - dutyCounts        <-- entrant -> duties over the event
+// - toDutyRosterCSV   <-- one row per officiated board; nameOf(id) supplies names
+//
+// A duty is { round, board, group, referee, A, B }: `referee` is an entrant who
+// is OFF that round and A/B are the sides of the match they officiate. At most one
+// referee per board; OFF entrants beyond the number of boards in play rest.
+
+import { csvField } from './scheduler.js'
+
+// options: { groupOf, avoidOwnGroup = false, isAvailable, membersOf }
+// groupOf(entrant) is their group number; with avoidOwnGroup nobody officiates a
+// match of their own group. Entrants who miss a round are never given a duty in it.
+// Each round, whoever has officiated least goes first (ties rotate through the
+// entry order), and among the boards they may take, the one they have officiated
+// least is preferred. A matching pass makes sure a board is only left without a
+// referee when no remaining OFF entrant is allowed to take it.
+// Returns one array of duties per round.
+export function assignDuties(schedule, entrants, options = {}) {
+  const { groupOf = () => null, avoidOwnGroup = false, isAvailable = () => true, membersOf = (side) => [side] } = options
+  const total = {}
+  const perBoard = {} // entrant -> board -> duties
+  const countOf = (p) => total[p] || 0
+  const boardCount = (p, b) => perBoard[p]?.[b] || 0
+
+  return schedule.map((round, ri) => {
+    const playing = new Set(round.flatMap(m => [...membersOf(m.A), ...membersOf(m.B)]))
+    const shift = entrants.length ? ri % entrants.length : 0
+    const rotated = [...entrants.slice(shift), ...entrants.slice(0, shift)]
+    const off = rotated
+      .filter(p => !membersOf(p).some(q => playing.has(q)) && isAvailable(p, ri + 1))
+      .sort((p, q) => countOf(p) - countOf(q))
+
+    const allowed = (p, m) => !(avoidOwnGroup && groupOf(p) != null && groupOf(p) === m.group)
+    const refereeOf = new Array(round.length).fill(null)
+
+    // Kuhn's augmenting paths, entrants in priority order.
+    const place = (p, seen) => {
+      const options = round
+        .map((m, i) => i)
+        .filter(i => allowed(p, round[i]))
+        .sort((i, j) => boardCount(p, round[i].board) - boardCount(p, round[j].board))
+      for (const i of options) {
+        if (seen.has(i)) continue
+        seen.add(i)
+        if (refereeOf[i] === null || place(refereeOf[i], seen)) {
+          refereeOf[i] = p
+          return true
+        }
+      }
+      return false
+    }
+    off.forEach(p => place(p, new Set()))
+
+    return round.flatMap((m, i) => {
+      const p = refereeOf[i]
+      if (p === null) return []
+      total[p] = countOf(p) + 1
+      perBoard[p] = perBoard[p] || {}
+      perBoard[p][m.board] = boardCount(p, m.board) + 1
+      return [{ round: m.round, board: m.board, group: m.group, referee: p, A: m.A, B: m.B }]
+    })
+  })
+}
+
+export function dutyCounts(duties, entrants) {
+  const counts = Object.fromEntries(entrants.map(p => [p, 0]))
+  duties.flat().forEach(d => { counts[d.referee] = (counts[d.referee] || 0) + 1 })
+  return counts
+}
+
+export function toDutyRosterCSV(duties, nameOf = (p) => p) {
+  const lines = [['Round', 'Board', 'Group', 'Referee', 'Side A', 'Side B'].join(',')]
+  duties.flat().forEach(d => {
+    lines.push([d.round, d.board, d.group ?? '', nameOf(d.referee), nameOf(d.A), nameOf(d.B)].map(csvField).join(','))
+  })
+  return lines.join('\n') + '\n'
+}
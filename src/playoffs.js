@@ -0,0 +1,227 @@
+// =============== PLAYOFF BRACKETS ===============
+// Exports used by the app:
+// - seedPlayoffField          <-- top N per group, cross-group seed order (A1, B1, A2, B2…)
+// - buildSingleElimination
+// - buildDoubleElimination
+//
+// A bracket is { type, entrants, rounds: [{ name, bracket, matches }] } where each
+// match is { id, board, wave, A, B, walkover }. A and B are display labels: a
+// player ("A1 Alice"), "Winner W1-2" / "Loser W2-1" for undecided slots, or "BYE".
+// Walkovers (one side is a BYE) get no board.
+
+export function groupLetter(gi) {
+  return String.fromCharCode(65 + gi)
+}
+
+// rankedGroups: one array of player ids per group, best first. Seeds go by
+// finishing place, then group, so with two groups the first round reads A1 vs B2
+// and B1 vs A2. Other group counts can put two of one group together in the first
+// round (C1 vs C2 with three groups of two); seeds of the same place are then
+// swapped until none is. nameOf(id) supplies the name printed on the bracket.
+export function seedPlayoffField(rankedGroups, perGroup, nameOf = (p) => p) {
+  const n = Math.max(0, Number(perGroup) || 0)
+  const field = []
+  for (let place = 0; place < n; place++) {
+    rankedGroups.forEach((g, gi) => {
+      if (g[place] !== undefined) {
+        field.push({
+          player: g[place],
+          name: nameOf(g[place]),
+          label: `${groupLetter(gi)}${place + 1}`,
+          group: gi + 1,
+          place: place + 1
+        })
+      }
+    })
+  }
+  return separateGroups(field).map((e, i) => ({ ...e, seed: i + 1 }))
+}
+
+// field is in seed order. For each first-round match within one group, the lower
+// seed trades places with another entrant of the same place whose own match stays
+// mixed after the trade.
+function separateGroups(field) {
+  const out = [...field]
+  let size = 1
+  while (size < out.length) size *= 2
+  const order = bracketOrder(size)
+  const opponent = {}
+  for (let i = 0; i < order.length; i += 2) {
+    opponent[order[i]] = order[i + 1]
+    opponent[order[i + 1]] = order[i]
+  }
+  const at = (seed) => out[seed - 1]
+  const clash = (seed, entrant) => at(opponent[seed])?.group === entrant.group
+
+  for (let seed = 1; seed <= out.length; seed++) {
+    const other = opponent[seed]
+    if (other < seed || !at(other) || at(other).group !== at(seed).group) continue
+    const low = other
+    const swap = out.findIndex((e, i) => i + 1 !== low && i + 1 !== seed
+      && e.place === at(low).place
+      && !clash(low, e) && !clash(i + 1, at(low)) && opponent[i + 1] !== low)
+    if (swap >= 0) [out[low - 1], out[swap]] = [out[swap], out[low - 1]]
+  }
+  return out
+}
+
+// Standard bracket order: seed 1 meets the lowest seed, 1 and 2 only in the final.
+function bracketOrder(size) {
+  let order = [1]
+  while (order.length < size) {
+    const next = order.length * 2 + 1
+    order = order.flatMap(s => [s, next - s])
+  }
+  return order
+}
+
+function roundName(matchesInRound) {
+  if (matchesInRound === 1) return 'Final'
+  if (matchesInRound === 2) return 'Semifinal'
+  if (matchesInRound === 4) return 'Quarterfinal'
+  return `Round of ${matchesInRound * 2}`
+}
+
+// Slots are { entrant } | { bye: true } | { from: matchId, take: 'winner' | 'loser' }.
+// Walkovers propagate: the winner of a BYE match is the other slot, its loser a BYE.
+function makeResolver(matchesById) {
+  function resolve(slot) {
+    if (!slot || slot.bye) return { bye: true }
+    if (slot.entrant) return slot
+    const m = matchesById[slot.from]
+    const a = resolve(m.slots[0]), b = resolve(m.slots[1])
+    if (a.bye || b.bye) {
+      if (slot.take === 'loser') return { bye: true }
+      return a.bye ? b : a
+    }
+    return slot
+  }
+  return resolve
+}
+
+function label(slot) {
+  if (slot.bye) return 'BYE'
+  if (slot.entrant) return `${slot.entrant.label} ${slot.entrant.name}`
+  return `${slot.take === 'winner' ? 'Winner' : 'Loser'} ${slot.from}`
+}
+
+// Turn slot-based rounds into labelled matches with boards. Within each bracket
+// round playable matches take boards 1..boards; extra matches go to a later wave.
+function finalize(type, entrants, rounds, boards) {
+  boards = Math.max(1, Number(boards) || 1)
+  const byId = {}
+  rounds.forEach(r => r.matches.forEach(m => { byId[m.id] = m }))
+  const resolve = makeResolver(byId)
+
+  return {
+    type,
+    entrants,
+    rounds: rounds.map(r => {
+      let n = 0
+      return {
+        name: r.name,
+        bracket: r.bracket,
+        matches: r.matches.map(m => {
+          const A = resolve(m.slots[0]), B = resolve(m.slots[1])
+          const walkover = !!(A.bye || B.bye)
+          const i = walkover ? -1 : n++
+          return {
+            id: m.id,
+            A: label(A),
+            B: label(B),
+            walkover,
+            board: walkover ? null : (i % boards) + 1,
+            wave: walkover ? null : Math.floor(i / boards) + 1
+          }
+        })
+      }
+    })
+  }
+}
+
+function winnersBracket(entrants) {
+  if (entrants.length < 2) return []
+  let size = 1
+  while (size < entrants.length) size *= 2
+
+  const slots = bracketOrder(size).map(seed => (
+    seed <= entrants.length ? { entrant: entrants[seed - 1] } : { bye: true }
+  ))
+
+  const rounds = []
+  let prev = null
+  for (let r = 1, count = size / 2; count >= 1; r++, count /= 2) {
+    const matches = Array.from({ length: count }, (_, i) => ({
+      id: `W${r}-${i + 1}`,
+      slots: prev
+        ? [{ from: prev[2 * i].id, take: 'winner' }, { from: prev[2 * i + 1].id, take: 'winner' }]
+        : [slots[2 * i], slots[2 * i + 1]]
+    }))
+    rounds.push({ name: roundName(count), bracket: 'W', matches })
+    prev = matches
+  }
+  return rounds
+}
+
+export function buildSingleElimination(entrants, boards) {
+  return finalize('single', entrants, winnersBracket(entrants), boards)
+}
+
+// Losers bracket alternates a "minor" round (survivors play each other) with a
+// "major" round (survivors meet the players just dropped from the winners side).
+// The grand final may need a reset if the losers-bracket champion wins the first.
+export function buildDoubleElimination(entrants, boards) {
+  const wRounds = winnersBracket(entrants)
+  if (wRounds.length < 2) return finalize('double', entrants, wRounds, boards)
+
+  const lRounds = []
+  let lr = 1
+  const w1 = wRounds[0].matches
+  let survivors = Array.from({ length: w1.length / 2 }, (_, i) => ({
+    id: `L${lr}-${i + 1}`,
+    slots: [{ from: w1[2 * i].id, take: 'loser' }, { from: w1[2 * i + 1].id, take: 'loser' }]
+  }))
+  lRounds.push({ name: `Losers Round ${lr}`, bracket: 'L', matches: survivors })
+
+  for (let w = 1; w < wRounds.length; w++) {
+    // Major round: drop the losers of winners round w+1 in, reversed to avoid rematches.
+    const dropped = [...wRounds[w].matches].reverse()
+    lr++
+    const major = survivors.map((m, i) => ({
+      id: `L${lr}-${i + 1}`,
+      slots: [{ from: m.id, take: 'winner' }, { from: dropped[i].id, take: 'loser' }]
+    }))
+    lRounds.push({ name: `Losers Round ${lr}`, bracket: 'L', matches: major })
+    survivors = major
+
+    if (survivors.length > 1) {
+      lr++
+      const minor = Array.from({ length: survivors.length / 2 }, (_, i) => ({
+        id: `L${lr}-${i + 1}`,
+        slots: [{ from: survivors[2 * i].id, take: 'winner' }, { from: survivors[2 * i + 1].id, take: 'winner' }]
+      }))
+      lRounds.push({ name: `Losers Round ${lr}`, bracket: 'L', matches: minor })
+      survivors = minor
+    }
+  }
+  lRounds[lRounds.length - 1].name = 'Losers Final'
+
+  const wFinal = wRounds[wRounds.length - 1].matches[0]
+  wRounds[wRounds.length - 1].name = 'Winners Final'
+  const lFinal = survivors[0]
+  const grand = {
+    id: 'GF-1',
+    slots: [{ from: wFinal.id, take: 'winner' }, { from: lFinal.id, take: 'winner' }]
+  }
+  const reset = {
+    id: 'GF-2',
+    slots: [{ from: 'GF-1', take: 'winner' }, { from: 'GF-1', take: 'loser' }]
+  }
+
+  return finalize('double', entrants, [
+    ...wRounds,
+    ...lRounds,
+    { name: 'Grand Final', bracket: 'F', matches: [grand] },
+    { name: 'Grand Final (if necessary)', bracket: 'F', matches: [reset] }
+  ], boards)
+}
@@ -0,0 +1,98 @@
+// =============== MATCH RESULTS ===============
+// Exports used by the app:
+// - GAMES_PER_MATCH
+// - emptyResult             <-- blank 4-game result for a scheduled match
+// - validateGame            <-- per-game errors (points 2/1/0, 20s 0–12)
+// - summarizeResult         <-- totals + completeness for one match
+// - resultFor               <-- the stored result for a schedule match (ignores stale ones)
+// - scoresForSchedule       <-- { [matchKey]: { A, B } } match points, as swiss.js expects
+//
+// A result is stored under matchKey(round, board) as
+// { A, B, games: [{ pointsA, pointsB, twentiesA, twentiesB }] } where A and B are
+// the players it was entered for, so a regenerated schedule never picks up a
+// result that belonged to a different pairing. Blank fields are ''.
+
+import { matchKey } from './swiss.js'
+
+export const GAMES_PER_MATCH = 4
+const MAX_TWENTIES = 12
+
+export function emptyResult(m) {
+  return {
+    A: m.A,
+    B: m.B,
+    games: Array.from({ length: GAMES_PER_MATCH }, () => ({
+      pointsA: '', pointsB: '', twentiesA: '', twentiesB: ''
+    }))
+  }
+}
+
+const isBlank = (v) => v === '' || v === null || v === undefined
+
+export function isGameEmpty(game) {
+  return ['pointsA', 'pointsB', 'twentiesA', 'twentiesB'].every(f => isBlank(game[f]))
+}
+
+// Returns a list of messages; an empty game is not an error, just not played yet.
+export function validateGame(game) {
+  if (isGameEmpty(game)) return []
+  const errors = []
+  const a = Number(game.pointsA), b = Number(game.pointsB)
+  if (isBlank(game.pointsA) || isBlank(game.pointsB)) {
+    errors.push('Enter points for both players.')
+  } else if (![0, 1, 2].includes(a) || ![0, 1, 2].includes(b) || a + b !== 2) {
+    errors.push('Points must be 2–0, 1–1 or 0–2.')
+  }
+  ;['twentiesA', 'twentiesB'].forEach(f => {
+    if (isBlank(game[f])) return
+    const t = Number(game[f])
+    if (!Number.isInteger(t) || t < 0 || t > MAX_TWENTIES) {
+      errors.push(`20s must be a whole number from 0 to ${MAX_TWENTIES}.`)
+    }
+  })
+  return errors
+}
+
+export function summarizeResult(result) {
+  const out = { pointsA: 0, pointsB: 0, twentiesA: 0, twentiesB: 0, entered: 0, errors: 0, complete: false }
+  if (!result) return out
+  result.games.forEach(g => {
+    if (isGameEmpty(g)) return
+    if (validateGame(g).length) { out.errors++; return }
+    out.entered++
+    out.pointsA += Number(g.pointsA)
+    out.pointsB += Number(g.pointsB)
+    out.twentiesA += Number(g.twentiesA) || 0
+    out.twentiesB += Number(g.twentiesB) || 0
+  })
+  out.complete = out.entered === GAMES_PER_MATCH && out.errors === 0
+  return out
+}
+
+export function resultFor(results, m) {
+  const r = results[matchKey(m.round, m.board)]
+  if (!r) return null
+  if (r.A === m.A && r.B === m.B) return r
+  // Same pairing listed the other way round: swap sides.
+  if (r.A === m.B && r.B === m.A) {
+    return {
+      A: m.A,
+      B: m.B,
+      games: r.games.map(g => ({
+        pointsA: g.pointsB, pointsB: g.pointsA, twentiesA: g.twentiesB, twentiesB: g.twentiesA
+      }))
+    }
+  }
+  return null
+}
+
+export function scoresForSchedule(schedule, results) {
+  const scores = {}
+  schedule.flat().forEach(m => {
+    const r = resultFor(results, m)
+    if (!r) return
+    const s = summarizeResult(r)
+    scores[matchKey(m.round, m.board)] = { A: s.pointsA, B: s.pointsB, complete: s.complete }
+  })
+  return scores
+}
@@ -0,0 +1,202 @@
+// =============== ROSTER ===============
+// Exports used by the app:
+// - createPlayer          <-- roster entry with a stable id, separate from the name
+// - rosterFromLegacy      <-- old names box + count + imported details -> roster
+// - findDuplicateNames    <-- lower-cased name -> ids, for names used more than once
+// - parseNamesText        <-- "Name | 1650 | #2 | Club" entries (bulk paste, old saves)
+// - parseRoundList        <-- "3, 5-6" -> [3, 5, 6]
+// - isAvailableIn         <-- is a player present for a round (first/last round, skipped rounds)
+// - ROSTER_FIELDS         <-- importable columns (name, club, rating, seed, …)
+// - parseCSV
+// - guessMapping          <-- header row -> { field: column index | -1 }
+// - buildRosterImport     <-- mapped rows -> { players, problems } with duplicates flagged
+
+export function newPlayerId() {
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+export function createPlayer(fields = {}) {
+  return {
+    id: newPlayerId(),
+    name: '',
+    rating: null,
+    seed: null,
+    club: '',
+    division: '',
+    email: '',
+    accessibility: '',
+    firstRound: null, // late arrival: first round they can play (blank = 1)
+    lastRound: null, // early departure: last round they can play (blank = the end)
+    skipRounds: '', // rounds missed in between, as typed ("4, 6-7")
+    ...fields
+  }
+}
+
+// Saves before the roster editor kept players as a names box (numPlayers entries,
+// auto-filled as P1, P2…) plus a name-keyed map of imported details.
+export function rosterFromLegacy(namesText = '', numPlayers, playerDetails = {}) {
+  const entries = parseNamesText(namesText)
+  const count = Math.max(0, Number(numPlayers ?? entries.length) || 0)
+  const roster = []
+  for (let i = 0; i < count; i++) {
+    const e = entries[i] || { name: `P${i + 1}` }
+    roster.push(createPlayer({ ...e, ...(playerDetails[e.name] || {}) }))
+  }
+  return roster
+}
+
+export function findDuplicateNames(roster) {
+  const byName = new Map()
+  roster.forEach(p => {
+    const key = p.name.trim().toLowerCase()
+    if (!key) return
+    byName.set(key, [...(byName.get(key) || []), p.id])
+  })
+  return new Map([...byName].filter(([, ids]) => ids.length > 1))
+}
+
+// Entries are separated by commas or newlines (only newlines with `onePerLine`,
+// so names like "Smith, John" survive). After the name, a plain number is
+// a rating, "#n" is an explicit seed and any other text is the club.
+export function parseNamesText(text, { onePerLine = false } = {}) {
+  return text.split(onePerLine ? /\n+/ : /[\n,]+/).map(s => s.trim()).filter(Boolean).map(entry => {
+    const [name, ...fields] = entry.split('|').map(s => s.trim())
+    const info = { name, rating: null, seed: null, club: '' }
+    fields.filter(Boolean).forEach(f => {
+      if (/^#\d+$/.test(f)) info.seed = Number(f.slice(1))
+      else if (!isNaN(Number(f))) info.rating = Number(f)
+      else info.club = f
+    })
+    return info
+  }).filter(info => info.name)
+}
+
+export function parseRoundList(text) {
+  const rounds = new Set()
+  String(text || '').split(/[,;\s]+/).filter(Boolean).forEach(part => {
+    const m = part.match(/^(\d+)(?:-(\d+))?$/)
+    if (!m) return
+    const from = Number(m[1]), to = Number(m[2] ?? m[1])
+    for (let r = Math.min(from, to); r <= Math.max(from, to); r++) rounds.add(r)
+  })
+  return [...rounds].sort((a, b) => a - b)
+}
+
+export function isAvailableIn(player, round) {
+  const first = Number(player.firstRound) || 1
+  const last = Number(player.lastRound) || Infinity
+  return round >= first && round <= last && !parseRoundList(player.skipRounds).includes(round)
+}
+
+export const ROSTER_FIELDS = [
+  { id: 'name', label: 'Name', required: true, aliases: ['name', 'player', 'player name', 'full name'] },
+  { id: 'club', label: 'Club', aliases: ['club', 'team', 'affiliation'] },
+  { id: 'rating', label: 'Rating', aliases: ['rating', 'elo', 'ranking points'] },
+  { id: 'seed', label: 'Seed', aliases: ['seed', 'seeding'] },
+  { id: 'division', label: 'Division', aliases: ['division', 'div', 'category'] },
+  { id: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email address'] },
+  { id: 'accessibility', label: 'Accessibility needs', aliases: ['accessibility', 'accessibility needs', 'needs', 'accommodations'] },
+  { id: 'firstRound', label: 'First round', aliases: ['first round', 'from round', 'arrives'] },
+  { id: 'lastRound', label: 'Last round', aliases: ['last round', 'to round', 'leaves'] },
+  { id: 'skipRounds', label: 'Skipped rounds', aliases: ['skip rounds', 'skipped rounds', 'excluded rounds', 'unavailable'] }
+]
+
+// RFC 4180-ish: quoted fields, doubled quotes, commas and newlines inside quotes.
+export function parseCSV(text) {
+  const rows = []
+  let row = [], field = '', quoted = false
+  const src = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else field += ch
+    } else if (ch === '"' && field === '') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field); field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++
+      row.push(field); rows.push(row); row = []; field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row) }
+  return rows.filter(r => r.some(c => c.trim() !== ''))
+}
+
+export function guessMapping(headers) {
+  const norm = headers.map(h => h.trim().toLowerCase())
+  return Object.fromEntries(ROSTER_FIELDS.map(f => [f.id, norm.findIndex(h => f.aliases.includes(h))]))
+}
+
+// rows: data rows (header removed). mapping: { field: column index | -1 }.
+// existingNames: players already on the roster, for duplicate detection.
+// Returns { players, problems } where each problem is { row, level, message } and
+// row counts the header as row 1 (blank lines are not counted).
+export function buildRosterImport(rows, mapping, existingNames = []) {
+  const players = []
+  const problems = []
+  const seen = new Map(existingNames.map(n => [n.trim().toLowerCase(), 'roster']))
+  const get = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] ?? '').trim() : '')
+
+  rows.forEach((row, i) => {
+    const line = i + 2
+    const report = (level, message) => problems.push({ row: line, level, message })
+
+    const name = get(row, 'name')
+    if (!name) { report('error', 'No name; row skipped.'); return }
+
+    const key = name.toLowerCase()
+    if (seen.has(key)) {
+      report('error', seen.get(key) === 'roster'
+        ? `"${name}" is already on the roster; row skipped.`
+        : `"${name}" appears earlier in this file (row ${seen.get(key)}); row skipped.`)
+      return
+    }
+    seen.set(key, line)
+
+    const player = {
+      name,
+      club: get(row, 'club'),
+      rating: null,
+      seed: null,
+      division: get(row, 'division'),
+      email: get(row, 'email'),
+      accessibility: get(row, 'accessibility'),
+      firstRound: null,
+      lastRound: null,
+      skipRounds: get(row, 'skipRounds')
+    }
+
+    const rating = get(row, 'rating')
+    if (rating) {
+      if (isNaN(Number(rating))) report('warning', `Rating "${rating}" is not a number; left blank.`)
+      else player.rating = Number(rating)
+    }
+    const seed = get(row, 'seed')
+    if (seed) {
+      if (!/^\d+$/.test(seed) || Number(seed) < 1) report('warning', `Seed "${seed}" is not a positive whole number; left blank.`)
+      else player.seed = Number(seed)
+    }
+    ;['firstRound', 'lastRound'].forEach(field => {
+      const value = get(row, field)
+      if (!value) return
+      if (!/^\d+$/.test(value) || Number(value) < 1) report('warning', `Round "${value}" is not a positive whole number; left blank.`)
+      else player[field] = Number(value)
+    })
+    if (player.skipRounds && parseRoundList(player.skipRounds).length === 0) {
+      report('warning', `Skipped rounds "${player.skipRounds}" should look like "4, 6-7"; left blank.`)
+      player.skipRounds = ''
+    }
+    if (player.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(player.email)) {
+      report('warning', `Email "${player.email}" does not look valid.`)
+    }
+
+    players.push(player)
+  })
+
+  return { players, problems }
+}
@@ -0,0 +1,37 @@
+// =============== SCHEDULE SEARCH (off the main thread) ===============
+// Exports used by the app:
+// - runScheduleSearch  <-- builds and post-processes a round robin from a request
+// - searchInWorker     <-- the same in a Web Worker, so typing never waits on it
+//
+// A request is plain data, so it can be posted to a worker:
+// { groupRounds, boards, rounds, options, post, away, withdrawnFrom }
+// `options` go to buildGlobalSchedule and `post` to postProcessSchedule. Neither
+// has isAvailable; it is rebuilt from `away` (entrant -> rounds missed) and
+// `withdrawnFrom` (entrant -> first round out).
+
+import { buildGlobalSchedule, postProcessSchedule } from './scheduler.js'
+
+export function runScheduleSearch(request) {
+  const { groupRounds, boards, rounds, options = {}, post = {}, away = {}, withdrawnFrom = {} } = request
+  const isAvailable = (p, r) => !away[p]?.includes(r) && !(r >= withdrawnFrom[p])
+  const built = buildGlobalSchedule(groupRounds, boards, rounds, { ...options, isAvailable })
+  const processed = postProcessSchedule(built.schedule, { ...post, boards, isAvailable })
+  return { schedule: processed.schedule, diagnostics: { ...built.diagnostics, post: processed.reports } }
+}
+
+// Calls onDone(result) once the worker has finished and returns a function that
+// cancels the search. Where there are no workers it runs on a timer instead, so
+// onDone is never called before this returns.
+export function searchInWorker(request, onDone) {
+  if (typeof Worker === 'undefined') {
+    const timer = setTimeout(() => onDone(runScheduleSearch(request)))
+    return () => clearTimeout(timer)
+  }
+  const worker = new Worker(new URL('./scheduleWorker.js', import.meta.url), { type: 'module' })
+  worker.onmessage = (e) => {
+    worker.terminate()
+    onDone(e.data)
+  }
+  worker.postMessage(request)
+  return () => worker.terminate()
+}
@@ -0,0 +1,4 @@
+// Web Worker behind searchInWorker (see scheduleSearch.js).
+import { runScheduleSearch } from './scheduleSearch.js'
+
+self.onmessage = (e) => self.postMessage(runScheduleSearch(e.data))
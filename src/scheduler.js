@@ -1,21 +1,296 @@
 // =============== SCHEDULER UTILITIES (Equalized + Bye-avoid) ===============
+// Players are opaque ids (roster ids in the app); names are only looked up when
+// exporting, so renaming a player never changes the schedule.
 // Exports used by the app:
 // - buildPlayers
-// - splitIntoGroups
+// - SEEDING_METHODS
+// - strengthValue         <-- a seed or rating field as a number (null when blank)
+// - formTeams / teamId    <-- doubles: fixed or randomly drawn pairs, scheduled like players
+// - teamMembers           <-- the player ids inside a team (or mixer side) id
+// - CONSTRAINT_KINDS      <-- never pair, not before round N, avoid same group, must play
+// - checkConstraints      <-- constraints the groups/schedule break, as messages
+// - pairBlocks            <-- canPair(a, b, round) from the never / not-before rules
+// - splitIntoGroups       <-- entry order, snake, straight, seeded random, club-separated
+//                            (then swaps players to honour pairing constraints)
 // - buildGroupPairings
 // - buildGlobalSchedule   <-- equal-games if feasible (strict), else lowers target
-// - toCSVWithOff
+//                            (counting checks, greedy, then matching and exact searches
+//                            within a time budget); returns { schedule, diagnostics }
+// - buildMixerSchedule    <-- rotating partners: new partners/opponents every round
+// - balanceBoards         <-- re-number boards so each player spreads evenly over all boards
+// - boardHistogram        <-- player -> games played on each board
+// - POST_PROCESS_STEPS, DEFAULT_POST_PROCESS
+// - postProcessSchedule   <-- run a generated schedule through bye smoothing, board
+//                            rebalance and color balancing (or any custom steps)
+// - offRoundReport        <-- per player: OFF rounds, longest run, per half
+// - offLimitBreaches      <-- players over the max-consecutive / per-half OFF limits
+// - rescheduleRemaining   <-- after a withdrawal: keep played rounds, re-solve the rest
+// - scheduleChanges       <-- board/opponent changes between two schedules (reprint list)
+// - toCSVWithOff          <-- nameOf(id) turns ids into display names
+// - csvField              <-- one CSV cell, quoted when needed (shared with duties.js)
 
 export function buildPlayers(n) {
   n = Math.max(0, Number(n) || 0)
   return Array.from({ length: n }, (_, i) => `P${i + 1}`)
 }
 
-export function splitIntoGroups(players, numGroups) {
+export const SEEDING_METHODS = [
+  { id: 'entry', label: 'As entered' },
+  { id: 'snake', label: 'Snake by rating' },
+  { id: 'straight', label: 'Straight by rating' },
+  { id: 'random', label: 'Random (seeded)' },
+  { id: 'club', label: 'Club-separated snake' }
+]
+
+// Small deterministic PRNG so a given seed always draws the same groups.
+function mulberry32(seed) {
+  let a = seed >>> 0
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function seededShuffle(list, seed) {
+  const rand = mulberry32(Number(seed) || 0)
+  const out = [...list]
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1))
+    ;[out[i], out[j]] = [out[j], out[i]]
+  }
+  return out
+}
+
+// A seed or rating as entered: its number, or null when blank or not a number.
+export function strengthValue(v) {
+  return v === null || v === undefined || v === '' || isNaN(Number(v)) ? null : Number(v)
+}
+
+// Strongest first: explicit seeds (1 = top), then rating high→low, then entry order.
+function byStrength(players, seedOf, ratingOf) {
+  return players
+    .map((p, i) => ({ p, i, seed: strengthValue(seedOf(p)), rating: strengthValue(ratingOf(p)) }))
+    .sort((x, y) => {
+      if (x.seed !== null || y.seed !== null) {
+        if (x.seed === null) return 1
+        if (y.seed === null) return -1
+        if (x.seed !== y.seed) return x.seed - y.seed
+      }
+      if (x.rating !== null || y.rating !== null) {
+        if (x.rating === null) return 1
+        if (y.rating === null) return -1
+        if (x.rating !== y.rating) return y.rating - x.rating
+      }
+      return x.i - y.i
+    })
+    .map(x => x.p)
+}
+
+// Snake passes, but within each pass a player goes to the open group holding the
+// fewest of their clubmates (ties keep snake order), so group sizes stay balanced.
+function dealClubSeparated(ordered, groups, clubOf) {
+  const g = groups.length
+  for (let start = 0; start < ordered.length; start += g) {
+    const forward = (start / g) % 2 === 0
+    const open = Array.from({ length: g }, (_, i) => (forward ? i : g - 1 - i))
+    ordered.slice(start, start + g).forEach(p => {
+      const club = clubOf(p)
+      let pick = 0
+      if (club) {
+        let best = Infinity
+        open.forEach((gi, k) => {
+          const mates = groups[gi].filter(q => clubOf(q) === club).length
+          if (mates < best) { best = mates; pick = k }
+        })
+      }
+      groups[open[pick]].push(p)
+      open.splice(pick, 1)
+    })
+  }
+}
+
+// ---- Doubles ----
+// A team is scheduled exactly like a player. Its id joins the partners' ids, so the
+// same two partners always make the same team and keep its saved results.
+export function teamId(members) {
+  return members.join('+')
+}
+
+export function teamMembers(id) {
+  return String(id).split('+')
+}
+
+// options: { method = 'fixed' | 'random', pairs = [[a, b], ...], randomSeed = 1 }
+// 'fixed' keeps the TD's pairs in order (skipping any with a missing, repeated or
+// already-partnered player); 'random' draws partners with a seeded shuffle.
+// Returns { teams: [{ id, members }], unpaired: [players left without a partner] }.
+export function formTeams(players, options = {}) {
+  const { method = 'fixed', pairs = [], randomSeed = 1 } = options
+  const open = new Set(players)
+  const teams = []
+  const pair = (a, b) => {
+    open.delete(a)
+    open.delete(b)
+    teams.push({ id: teamId([a, b]), members: [a, b] })
+  }
+
+  if (method === 'random') {
+    const drawn = seededShuffle(players, randomSeed)
+    for (let i = 0; i + 1 < drawn.length; i += 2) pair(drawn[i], drawn[i + 1])
+  } else {
+    pairs.forEach(([a, b]) => {
+      if (a !== b && open.has(a) && open.has(b)) pair(a, b)
+    })
+  }
+  return { teams, unpaired: players.filter(p => open.has(p)) }
+}
+
+// ---- Pairing constraints ----
+// A constraint is { kind, a, b, round } between two players (or teams):
+//   never     - a and b never play each other (and are kept in separate groups)
+//   notBefore - they may not meet before `round`
+//   separate  - they are not drawn into the same group
+//   mustPlay  - they meet at least once (and are drawn into the same group)
+export const CONSTRAINT_KINDS = [
+  { id: 'never', label: 'Never pair' },
+  { id: 'notBefore', label: 'Not before round' },
+  { id: 'separate', label: 'Avoid same group' },
+  { id: 'mustPlay', label: 'Must play each other' }
+]
+
+// Returns canPair(a, b, r): may a and b meet in round r (1-based)?
+// Pass r = Infinity to ask whether they may meet at all.
+export function pairBlocks(constraints = []) {
+  const blocks = new Map()
+  constraints.forEach(c => {
+    const key = c.a < c.b ? `${c.a}|${c.b}` : `${c.b}|${c.a}`
+    const from = c.kind === 'never' ? Infinity : c.kind === 'notBefore' ? Number(c.round) || 1 : 1
+    if (from > (blocks.get(key) || 1)) blocks.set(key, from)
+  })
+  return (a, b, r) => {
+    const from = blocks.get(a < b ? `${a}|${b}` : `${b}|${a}`)
+    return !from || (from !== Infinity && r >= from)
+  }
+}
+
+function groupClash(c, groupOf) {
+  if (!(c.a in groupOf) || !(c.b in groupOf)) return false
+  const same = groupOf[c.a] === groupOf[c.b]
+  return c.kind === 'mustPlay' ? !same : (c.kind === 'never' || c.kind === 'separate') && same
+}
+
+// Swap single players between groups while that strictly reduces the number of
+// group-level clashes. Swaps keep group sizes, and prefer a partner at the same
+// position in its group so the seeding stays close to what was dealt.
+function repairGroups(groups, constraints) {
+  const relevant = constraints.filter(c => c.kind !== 'notBefore')
+  if (groups.length < 2 || !relevant.length) return groups
+  const groupOf = {}
+  const index = () => groups.forEach((g, gi) => g.forEach(p => { groupOf[p] = gi }))
+  const clashes = () => relevant.filter(c => groupClash(c, groupOf)).length
+  index()
+
+  for (let pass = 0; pass < 50; pass++) {
+    const before = clashes()
+    if (!before) break
+    let best = null
+    relevant.filter(c => groupClash(c, groupOf)).forEach(c => {
+      ;[c.b, c.a].forEach(p => {
+        const gi = groupOf[p], pi = groups[gi].indexOf(p)
+        groups.forEach((g, gj) => {
+          if (gj === gi) return
+          g.forEach((q, qi) => {
+            groups[gi][pi] = q; groups[gj][qi] = p
+            groupOf[q] = gi; groupOf[p] = gj
+            const after = clashes()
+            const score = after * 1000 + Math.abs(qi - pi)
+            if (after < before && (!best || score < best.score)) best = { score, gi, pi, gj, qi }
+            groups[gi][pi] = p; groups[gj][qi] = q
+            groupOf[p] = gi; groupOf[q] = gj
+          })
+        })
+      })
+    })
+    if (!best) break
+    const p = groups[best.gi][best.pi], q = groups[best.gj][best.qi]
+    groups[best.gi][best.pi] = q
+    groups[best.gj][best.qi] = p
+    index()
+  }
+  return groups
+}
+
+// options: { groups, schedule, membersOf, nameOf }
+// Returns [{ constraint, message }] for every constraint the groups or the
+// schedule break. membersOf splits a match side into players (mixer pairs).
+export function checkConstraints(constraints, options = {}) {
+  const { groups = [], schedule = [], membersOf = (side) => [side], nameOf = (p) => p } = options
+  const groupOf = {}
+  groups.forEach((g, gi) => g.forEach(p => { groupOf[p] = gi }))
+  const met = {} // "a|b" -> first round they met
+  schedule.forEach((round, ri) => round.forEach(m => {
+    membersOf(m.A).forEach(a => membersOf(m.B).forEach(b => {
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`
+      if (!(key in met)) met[key] = ri + 1
+    }))
+  }))
+
+  const out = []
+  constraints.forEach(c => {
+    const both = `${nameOf(c.a)} and ${nameOf(c.b)}`
+    const first = met[c.a < c.b ? `${c.a}|${c.b}` : `${c.b}|${c.a}`]
+    const report = (message) => out.push({ constraint: c, message })
+    // Never-pair partners may share a group as long as they do not meet.
+    if (c.kind !== 'never' && groupClash(c, groupOf)) {
+      report(c.kind === 'mustPlay'
+        ? `${both} must play each other but are in different groups.`
+        : `${both} are both in group ${groupOf[c.a] + 1}.`)
+    }
+    if (c.kind === 'never' && first) report(`${both} should never meet, but play in round ${first}.`)
+    if (c.kind === 'notBefore' && first && first < (Number(c.round) || 1)) {
+      report(`${both} meet in round ${first}, before round ${c.round}.`)
+    }
+    if (c.kind === 'mustPlay' && !first && schedule.flat().length && !groupClash(c, groupOf)) {
+      report(`${both} must play each other but never meet.`)
+    }
+  })
+  return out
+}
+
+// options: { method = 'entry', randomSeed = 1, seedOf, ratingOf, clubOf, constraints }
+// The accessors map a player to their seed / rating / club (missing = unrated).
+export function splitIntoGroups(players, numGroups, options = {}) {
   const g = Math.max(1, Number(numGroups) || 1)
   const groups = Array.from({ length: g }, () => [])
-  players.forEach((p, i) => { groups[i % g].push(p) })
-  return groups
+  const {
+    method = 'entry',
+    randomSeed = 1,
+    seedOf = () => null,
+    ratingOf = () => null,
+    clubOf = () => '',
+    constraints = []
+  } = options
+
+  const snake = (i) => {
+    const pass = Math.floor(i / g), pos = i % g
+    return pass % 2 === 0 ? pos : g - 1 - pos
+  }
+
+  if (method === 'snake') {
+    byStrength(players, seedOf, ratingOf).forEach((p, i) => { groups[snake(i)].push(p) })
+  } else if (method === 'straight') {
+    byStrength(players, seedOf, ratingOf).forEach((p, i) => { groups[i % g].push(p) })
+  } else if (method === 'random') {
+    seededShuffle(players, randomSeed).forEach((p, i) => { groups[i % g].push(p) })
+  } else if (method === 'club') {
+    dealClubSeparated(byStrength(players, seedOf, ratingOf), groups, clubOf)
+  } else {
+    players.forEach((p, i) => { groups[i % g].push(p) })
+  }
+  return repairGroups(groups, constraints)
 }
 
 function roundRobinPairs(group) {
@@ -52,10 +327,459 @@ export function buildGroupPairings(groups) {
   return groups.map(g => roundRobinPairs(g))
 }
 
+// ---- OFF rounds ----
+// A round is OFF for a player who is available, does not play, and still has a
+// game to come. Rounds they miss and rounds after their last game do not count,
+// so the limits only bite on time spent waiting at the venue. The first half is
+// rounds 1..ceil(rounds / 2).
+
+// Blank, negative or non-numeric limits mean "no limit" (null).
+function offLimit(value) {
+  if (value == null || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null
+}
+
+// options: { isAvailable, membersOf }
+// Returns player -> { off, longest, firstHalf, secondHalf }.
+export function offRoundReport(schedule, players, options = {}) {
+  const { isAvailable = () => true, membersOf = (side) => [side] } = options
+  const half = Math.ceil(schedule.length / 2)
+  const playing = schedule.map(r => new Set(r.flatMap(m => [...membersOf(m.A), ...membersOf(m.B)])))
+  const out = {}
+  players.forEach(p => {
+    let last = -1
+    playing.forEach((set, i) => { if (set.has(p)) last = i })
+    const stats = { off: 0, longest: 0, firstHalf: 0, secondHalf: 0 }
+    let run = 0
+    for (let i = 0; i < last; i++) {
+      if (playing[i].has(p) || !isAvailable(p, i + 1)) {
+        run = 0
+        continue
+      }
+      run++
+      stats.off++
+      stats.longest = Math.max(stats.longest, run)
+      if (i < half) stats.firstHalf++
+      else stats.secondHalf++
+    }
+    out[p] = stats
+  })
+  return out
+}
+
+// Players whose OFF rounds break the given limits (see offRoundReport).
+export function offLimitBreaches(report, { maxConsecutiveOff, maxOffPerHalf } = {}) {
+  const run = offLimit(maxConsecutiveOff)
+  const perHalf = offLimit(maxOffPerHalf)
+  return Object.keys(report).filter(p => (
+    (run != null && report[p].longest > run)
+    || (perHalf != null && Math.max(report[p].firstHalf, report[p].secondHalf) > perHalf)
+  ))
+}
+
+// Exact search for a schedule where every player plays exactly `targetGames`
+// (or every round they are available for, if that is fewer).
+// Backtracks round by round; inside a round it either pairs the next player with
+// an unplayed group-mate or sits them out. Returns
+// { status: 'found', schedule } | { status: 'infeasible' } | { status: 'timeout' }.
+// rules: { isAvailable, canPair, mustPlay, maxConsecutiveOff, maxOffPerHalf,
+// earlierGames, earlierOff, half, oneShort } as prepared by buildGlobalSchedule;
+// players in `oneShort` (a Set) are due one game fewer.
+function searchExactSchedule(groups, targetGames, boards, totalRounds, deadline, rules) {
+  const { isAvailable, canPair, mustPlay, maxConsecutiveOff, maxOffPerHalf, earlierGames, earlierOff, half, oneShort = new Set() } = rules
+  const names = groups.flat()
+  const N = names.length
+  const groupOf = []
+  groups.forEach((g, gi) => g.forEach(() => groupOf.push(gi)))
+
+  // left[p][r]: rounds from r (0-based) to the end that player p can still play.
+  const left = names.map(name => {
+    const counts = new Array(totalRounds + 1).fill(0)
+    for (let r = totalRounds - 1; r >= 0; r--) counts[r] = counts[r + 1] + (isAvailable(name, r + 1) ? 1 : 0)
+    return counts
+  })
+
+  const need = names.map((name, p) => Math.max(0, Math.min(targetGames - (earlierGames[name] || 0), left[p][0]) - (oneShort.has(name) ? 1 : 0)))
+  const isMust = (p, q) => mustPlay.has(names[p] < names[q] ? `${names[p]}|${names[q]}` : `${names[q]}|${names[p]}`)
+  const mustPairs = []
+  for (let p = 0; p < N; p++) for (let q = p + 1; q < N; q++) if (isMust(p, q)) mustPairs.push([p, q])
+  const played = Array.from({ length: N }, () => new Uint8Array(N))
+  const lastRound = new Array(N).fill(-1)
+  // Waiting OFF rounds (see offRoundReport): current run, and count per half.
+  const offRun = names.map(name => earlierOff[name]?.run || 0)
+  const offHalf = [
+    names.map(name => earlierOff[name]?.firstHalf || 0),
+    names.map(name => earlierOff[name]?.secondHalf || 0)
+  ]
+  const canSit = (p, r) => (maxConsecutiveOff == null || offRun[p] < maxConsecutiveOff)
+    && (maxOffPerHalf == null || offHalf[r < half ? 0 : 1][p] < maxOffPerHalf)
+  const rounds = []
+  let nodes = 0
+  let timedOut = false
+
+  function outOfTime() {
+    if (timedOut) return true
+    if ((++nodes & 1023) === 0 && Date.now() > deadline) timedOut = true
+    return timedOut
+  }
+
+  // Cheap necessary conditions for the remaining rounds to be completable.
+  function feasible(r) {
+    const roundsLeft = totalRounds - r
+    let total = 0
+    const groupSums = new Array(groups.length).fill(0)
+    for (let p = 0; p < N; p++) {
+      if (need[p] > left[p][r]) return false
+      if (need[p] === 0) continue
+      let opponents = 0
+      for (let q = 0; q < N; q++) {
+        if (q !== p && groupOf[q] === groupOf[p] && need[q] > 0 && !played[p][q] && canPair(names[p], names[q], Infinity)) opponents++
+      }
+      if (need[p] > opponents) return false
+      total += need[p]
+      groupSums[groupOf[p]] += need[p]
+    }
+    if (groupSums.some(s => s % 2 === 1)) return false
+    return total / 2 <= boards * roundsLeft
+  }
+
+  function solveRound(r) {
+    if (r === totalRounds) return need.every(n => n === 0) && mustPairs.every(([p, q]) => played[p][q])
+    if (!feasible(r)) return false
+
+    // Players who must play this round go first, then whoever sat out last round.
+    const order = []
+    for (let p = 0; p < N; p++) if (need[p] > 0 && isAvailable(names[p], r + 1)) order.push(p)
+    order.sort((p, q) => {
+      if (need[q] !== need[p]) return need[q] - need[p]
+      return (lastRound[p] === r - 1 ? 1 : 0) - (lastRound[q] === r - 1 ? 1 : 0)
+    })
+
+    const used = new Uint8Array(N)
+    const matches = []
+
+    function fill(k) {
+      if (outOfTime()) return false
+      while (k < order.length && used[order[k]]) k++
+
+      if (k === order.length || matches.length === boards) {
+        for (let i = k; i < order.length; i++) {
+          if (!used[order[i]] && (need[order[i]] >= left[order[i]][r] || !canSit(order[i], r))) return false
+        }
+        // Everyone left in `order` waits this round; anyone else's run ends.
+        const savedRun = offRun.slice()
+        const busy = new Set(matches.flat())
+        const waiting = order.filter(q => !busy.has(q))
+        for (let q = 0; q < N; q++) offRun[q] = 0
+        waiting.forEach(q => { offRun[q] = savedRun[q] + 1; offHalf[r < half ? 0 : 1][q]++ })
+        rounds.push(matches.slice())
+        matches.forEach(([p, q]) => { lastRound[p] = r; lastRound[q] = r })
+        if (solveRound(r + 1)) return true
+        rounds.pop()
+        waiting.forEach(q => { offHalf[r < half ? 0 : 1][q]-- })
+        savedRun.forEach((v, q) => { offRun[q] = v })
+        return false
+      }
+
+      const p = order[k]
+      used[p] = 1
+      const prevLast = lastRound[p]
+      // Try must-play partners first.
+      const partners = order.slice(k + 1).sort((x, y) => (isMust(p, y) ? 1 : 0) - (isMust(p, x) ? 1 : 0))
+      for (const q of partners) {
+        if (used[q] || groupOf[q] !== groupOf[p] || played[p][q] || !canPair(names[p], names[q], r + 1)) continue
+        const prevLastQ = lastRound[q]
+        used[q] = 1
+        played[p][q] = played[q][p] = 1
+        need[p]--; need[q]--
+        matches.push([p, q])
+
+        if (fill(k + 1)) return true
+
+        matches.pop()
+        need[p]++; need[q]++
+        played[p][q] = played[q][p] = 0
+        used[q] = 0
+        lastRound[p] = prevLast; lastRound[q] = prevLastQ
+        if (timedOut) return false
+      }
+
+      // Sit this player out, but only if they can still reach the target later
+      // and the OFF limits allow another round of waiting.
+      if (need[p] < left[p][r] && canSit(p, r) && fill(k + 1)) return true
+      used[p] = 0
+      return false
+    }
+
+    return fill(0)
+  }
+
+  const found = solveRound(0)
+  if (found) {
+    const schedule = rounds.map((pairs, ri) => pairs.map(([p, q], bi) => ({
+      round: ri + 1, board: bi + 1, A: names[p], B: names[q], group: groupOf[p] + 1
+    })))
+    return { status: 'found', schedule }
+  }
+  return { status: timedOut ? 'timeout' : 'infeasible' }
+}
+
+// Randomised search for events too large for the exact search to finish. Rounds
+// are built one at a time as a matching: players who must play now (their games
+// due fill every round they have left, or the OFF limits stop them waiting) are
+// seated first, then those with the most games due per round left and the fewest
+// possible opponents. A must-play player left over is seated along an
+// alternating path, dropping a match of two players who could have waited if the
+// boards are full. Each restart reshuffles ties with a new seed until one reaches
+// the target or the deadline passes (at least one try, seeds counting up from
+// firstSeed). It never proves a target impossible: the statuses are 'found' and
+// 'timeout'. rules are those of searchExactSchedule.
+function searchByMatching(groups, targetGames, boards, totalRounds, deadline, rules, firstSeed = 1) {
+  const { isAvailable, canPair, mustPlay, maxConsecutiveOff, maxOffPerHalf, earlierGames, earlierOff, half, oneShort = new Set() } = rules
+  const names = groups.flat()
+  const N = names.length
+  const groupOf = []
+  groups.forEach((g, gi) => g.forEach(() => groupOf.push(gi)))
+
+  const available = names.map(name => Array.from({ length: totalRounds }, (_, r) => isAvailable(name, r + 1)))
+  const left = available.map(rounds => {
+    const counts = new Array(totalRounds + 1).fill(0)
+    for (let r = totalRounds - 1; r >= 0; r--) counts[r] = counts[r + 1] + (rounds[r] ? 1 : 0)
+    return counts
+  })
+  const needAtStart = names.map((name, p) => Math.max(0, Math.min(targetGames - (earlierGames[name] || 0), left[p][0]) - (oneShort.has(name) ? 1 : 0)))
+  const mates = names.map((name, p) => {
+    const out = []
+    for (let q = 0; q < N; q++) if (q !== p && groupOf[q] === groupOf[p] && canPair(name, names[q], Infinity)) out.push(q)
+    return out
+  })
+  const isMust = (p, q) => mustPlay.has(names[p] < names[q] ? `${names[p]}|${names[q]}` : `${names[q]}|${names[p]}`)
+  const mustPairs = []
+  for (let p = 0; p < N; p++) for (let q = p + 1; q < N; q++) if (isMust(p, q)) mustPairs.push([p, q])
+
+  function attempt(rand) {
+    const need = needAtStart.slice()
+    const played = Array.from({ length: N }, () => new Uint8Array(N))
+    const offRun = names.map(name => earlierOff[name]?.run || 0)
+    const offHalf = [
+      names.map(name => earlierOff[name]?.firstHalf || 0),
+      names.map(name => earlierOff[name]?.secondHalf || 0)
+    ]
+    const mustLeft = new Uint8Array(N)
+    mustPairs.forEach(([p, q]) => { mustLeft[p]++; mustLeft[q]++ })
+    const rounds = []
+
+    for (let r = 0; r < totalRounds; r++) {
+      const h = r < half ? 0 : 1
+      const active = []
+      for (let p = 0; p < N; p++) if (need[p] > 0 && available[p][r]) active.push(p)
+      const options = new Array(N)
+      active.forEach(p => {
+        options[p] = mates[p].filter(q => need[q] > 0 && available[q][r] && !played[p][q] && canPair(names[p], names[q], r + 1))
+      })
+      const mustNow = (p) => need[p] >= left[p][r]
+        || (maxConsecutiveOff != null && offRun[p] >= maxConsecutiveOff)
+        || (maxOffPerHalf != null && offHalf[h][p] >= maxOffPerHalf)
+      const priority = new Float64Array(N)
+      active.forEach(p => {
+        priority[p] = (mustNow(p) ? 4 : 0) + need[p] / left[p][r] + (mustLeft[p] ? 1 : 0)
+          - options[p].length / (N + 1) + rand() * 0.01
+      })
+      const order = [...active].sort((p, q) => priority[q] - priority[p])
+
+      // Pace the games over the rounds left, so the last rounds still have
+      // players due a game who can meet each other.
+      const due = need.reduce((sum, n) => sum + n, 0)
+      const pace = Math.ceil(due / 2 / (totalRounds - r))
+      const mate = new Int32Array(N).fill(-1)
+      let matches = 0
+      const link = (p, q) => { mate[p] = q; mate[q] = p }
+      order.forEach(p => {
+        if (mate[p] >= 0 || matches >= boards || (matches >= pace && !mustNow(p))) return
+        let best = -1
+        options[p].forEach(q => {
+          if (mate[q] >= 0) return
+          if (best < 0 || (isMust(p, q) ? 10 : 0) + priority[q] > (isMust(p, best) ? 10 : 0) + priority[best]) best = q
+        })
+        if (best >= 0) {
+          link(p, best)
+          matches++
+        }
+      })
+
+      // Alternating path from p: everyone matched stays matched, p gains a partner.
+      const seen = new Uint8Array(N)
+      const augment = (p) => {
+        for (const q of options[p]) {
+          if (seen[q]) continue
+          seen[q] = 1
+          if (mate[q] < 0) {
+            if (matches >= boards) continue
+            link(p, q)
+            matches++
+            return true
+          }
+          const s = mate[q]
+          seen[s] = 1
+          mate[s] = -1
+          link(p, q)
+          if (augment(s)) return true
+          mate[p] = -1
+          link(q, s)
+        }
+        return false
+      }
+      for (const p of order) {
+        if (mate[p] >= 0 || !mustNow(p)) continue
+        seen.fill(0)
+        seen[p] = 1
+        if (augment(p)) continue
+        // Boards full: free one held by two players who could wait, then retry.
+        const spare = order.filter(a => mate[a] > a && !mustNow(a) && !mustNow(mate[a]))
+        let placed = false
+        for (const a of spare.reverse()) {
+          const b = mate[a]
+          mate[a] = mate[b] = -1
+          matches--
+          seen.fill(0)
+          seen[p] = 1
+          if (augment(p)) {
+            placed = true
+            break
+          }
+          link(a, b)
+          matches++
+        }
+        if (!placed) return null
+      }
+
+      const round = []
+      active.forEach(p => {
+        const q = mate[p]
+        if (q < p) return
+        round.push([p, q])
+        played[p][q] = played[q][p] = 1
+        need[p]--; need[q]--
+        if (isMust(p, q)) { mustLeft[p]--; mustLeft[q]-- }
+      })
+      const waiting = new Set(active.filter(p => mate[p] < 0))
+      for (let p = 0; p < N; p++) {
+        if (!waiting.has(p)) {
+          offRun[p] = 0
+          continue
+        }
+        offRun[p]++
+        offHalf[h][p]++
+      }
+      rounds.push(round)
+    }
+    if (need.some(n => n > 0) || mustLeft.some(n => n > 0)) return null
+    return rounds.map((pairs, ri) => pairs.map(([p, q], bi) => ({
+      round: ri + 1, board: bi + 1, A: names[p], B: names[q], group: groupOf[p] + 1
+    })))
+  }
+
+  let seed = firstSeed
+  do {
+    const schedule = attempt(mulberry32(seed++))
+    if (schedule) return { status: 'found', schedule }
+  } while (Date.now() < deadline)
+  return { status: 'timeout' }
+}
+
+// What the TD could change to reach `desired` games per player.
+function suggestFixes({ groups, boards, totalRounds, desired, target, caps, offLimited }) {
+  if (target >= desired) return []
+  const out = []
+  const N = groups.reduce((n, g) => n + g.length, 0)
+  const totalGames = groups.reduce((n, g) => n + Math.ceil((g.length * desired) / 2), 0)
+  const boardsUsable = Math.max(1, Math.min(boards, Math.floor(N / 2)))
+
+  if (caps.opponents < desired) {
+    const small = groups.filter(g => g.length - 1 < desired).length
+    out.push({
+      kind: 'groups',
+      message: `${small} group(s) have fewer than ${desired + 1} players, so not everyone has ${desired} opponents. Merge groups (use fewer groups) or lower the target.`
+    })
+  }
+  const oddGroups = groups.filter(g => (g.length * desired) % 2 === 1).length
+  if (oddGroups) {
+    out.push({
+      kind: 'groups',
+      message: `${oddGroups} group(s) have an odd player count, so ${desired} games each cannot pair up exactly. Even out the group sizes or change the target by one.`
+    })
+  }
+
+  const roundsNeeded = Math.max(desired, Math.ceil(totalGames / boardsUsable))
+  const boardsNeeded = Math.ceil(totalGames / totalRounds)
+  if (boardsNeeded > boards && boardsNeeded <= Math.floor(N / 2)) {
+    const add = boardsNeeded - boards
+    out.push({ kind: 'boards', message: `Add ${add} board(s) (${boardsNeeded} total) to fit ${totalGames} games into ${totalRounds} rounds.` })
+  }
+  if (roundsNeeded > totalRounds) {
+    const add = roundsNeeded - totalRounds
+    out.push({ kind: 'rounds', message: `Add ${add} round(s) (${roundsNeeded} total) with ${boardsUsable} board(s) in use.` })
+  }
+  if (!out.length && offLimited) {
+    out.push({
+      kind: 'off',
+      message: 'The OFF-round limits may be what holds the target down. Loosen them, or add a board so fewer players wait each round.'
+    })
+  }
+  if (!out.length) {
+    out.push({
+      kind: 'rounds',
+      message: 'The caps allow this target but no equal schedule was found in time. Add a round for slack, or allow one fewer game per player.'
+    })
+  }
+  return out
+}
+
 // Strict-equal scheduler with secondary preference to avoid back-to-back BYEs.
-export function buildGlobalSchedule(groupRounds, boards, preferredRounds) {
+// A target that fails the counting checks (see precheck) is lowered straight away.
+// Otherwise it is tried greedily first; if that misses, the matching and exact
+// searches share part of the time budget (see below) before the target is lowered.
+// options: { exact = true, timeBudgetMs = 2000, desiredGames, isAvailable, constraints,
+//   maxConsecutiveOff, maxOffPerHalf, earlierGames, earlierOff, roundOffset = 0, slack = 0 }
+// desiredGames defaults to a full round robin of the smallest group.
+// isAvailable(player, round) (1-based) is a hard constraint: a player is never
+// scheduled in a round they miss, and plays min(target, rounds available) games.
+// `never` and `notBefore` constraints are hard too; `mustPlay` pairs are scheduled
+// first by the greedy pass (see checkConstraints for what still slipped through).
+// maxConsecutiveOff and maxOffPerHalf (blank = no limit) cap a player's OFF rounds
+// in a row and in each half of the event, as counted by offRoundReport; a target
+// that cannot meet them is lowered like any other.
+// earlierGames (player -> games) counts games played before these rounds towards
+// the target; rescheduleRemaining uses it to re-solve the rest of an event, along
+// with earlierOff (player -> { run, firstHalf, secondHalf }: OFF rounds so far and
+// the run still open at the end of them) and roundOffset (rounds already played),
+// so the OFF limits and the halves are those of the whole event.
+// With slack > 0, a greedy schedule where nobody is more than `slack` games short
+// is accepted (after the exact search) rather than lowering the target; those
+// players are listed in diagnostics.short. When only parity rules the target out,
+// the searches still run with one player per odd group a game short.
+//
+// diagnostics: { desired, target, caps: { boards, rounds, opponents }, binding,
+//   attempts: [{ target, method, result, short }], suggestions: [{ kind, message }],
+//   partial: [{ player, available, games }], short: [{ player, games }] }
+// `binding` names the caps that held the starting target below `desired`; method is
+// 'check' (result 'parity' | 'boards' | 'opponents'), 'greedy', 'matching' or
+// 'exact'; each failed greedy attempt lists the players who ran short; `partial`
+// lists players whose availability holds them below the achieved target.
+export function buildGlobalSchedule(groupRounds, boards, preferredRounds, options = {}) {
   boards = Math.max(1, Number(boards) || 1)
   const totalRounds = Math.max(1, Number(preferredRounds) || 1)
+  const {
+    exact = true, timeBudgetMs = 2000, desiredGames, isAvailable = () => true, constraints = [],
+    earlierGames = {}, earlierOff = {}, roundOffset = 0, slack = 0
+  } = options
+  const maxConsecutiveOff = offLimit(options.maxConsecutiveOff)
+  const maxOffPerHalf = offLimit(options.maxOffPerHalf)
+  // Rounds of this schedule that fall in the first half of the event.
+  const half = Math.ceil((roundOffset + totalRounds) / 2) - roundOffset
+  const canPair = pairBlocks(constraints)
+  const mustPlay = new Set(constraints.filter(c => c.kind === 'mustPlay').map(c => (c.a < c.b ? `${c.a}|${c.b}` : `${c.b}|${c.a}`)))
 
   const groups = groupRounds.map((gr) => {
     const s = new Set()
@@ -63,28 +787,79 @@ export function buildGlobalSchedule(groupRounds, boards, preferredRounds) {
     return Array.from(s)
   })
   const allPlayers = Array.from(new Set(groups.flat()))
+  const availableCount = Object.fromEntries(allPlayers.map(p => {
+    let n = 0
+    for (let r = 1; r <= totalRounds; r++) if (isAvailable(p, r)) n++
+    return [p, n]
+  }))
+  const earlier = (p) => earlierGames[p] || 0
+  const needOf = (p, targetGames) => Math.max(0, Math.min(targetGames - earlier(p), availableCount[p]))
 
   const allMatches = []
   groups.forEach((gPlayers, gi) => {
     for (let i = 0; i < gPlayers.length; i++) {
       for (let j = i + 1; j < gPlayers.length; j++) {
+        if (!canPair(gPlayers[i], gPlayers[j], Infinity)) continue
         allMatches.push({ A: gPlayers[i], B: gPlayers[j], group: gi + 1 })
       }
     }
   })
 
+  // Caps count games already played (earlierGames) on top of these rounds.
   const N = allPlayers.length || 1
-  const capByBoards = Math.floor((boards * totalRounds * 2) / N)
-  const capByRounds = totalRounds
-  const capByOpponents = groups.length
-    ? Math.min(...groups.map(g => Math.max(0, g.length - 1)))
+  const earlierTotal = allPlayers.reduce((n, p) => n + earlier(p), 0)
+  const capByBoards = Math.floor((boards * totalRounds * 2 + earlierTotal) / N)
+  const capByRounds = totalRounds + Math.max(0, ...allPlayers.map(earlier))
+  const opponentsOf = (g, p) => g.filter(q => q !== p && canPair(p, q, Infinity)).length + earlier(p)
+  // A group left with nobody to pair (e.g. after withdrawals) does not cap the rest.
+  const pairedGroups = groups.filter(g => g.length)
+  const capByOpponents = pairedGroups.length
+    ? Math.min(...pairedGroups.map(g => Math.min(...g.map(p => opponentsOf(g, p)))))
     : 0
-  let target = Math.max(0, Math.min(capByBoards, capByRounds, capByOpponents))
+  const caps = { boards: capByBoards, rounds: capByRounds, opponents: capByOpponents }
+  const wanted = Number(desiredGames)
+  const desired = desiredGames != null && desiredGames !== '' && wanted >= 0
+    ? Math.floor(wanted)
+    : capByOpponents
+  let target = Math.max(0, Math.min(desired, capByBoards, capByRounds, capByOpponents))
+  const binding = Object.keys(caps).filter(k => caps[k] < desired && caps[k] === target)
+  const attempts = []
+
+  // short lists the players left below the target (see slack) and their games.
+  function finish(schedule, achieved) {
+    const played = {}
+    schedule.flat().forEach(m => {
+      played[m.A] = (played[m.A] || 0) + 1
+      played[m.B] = (played[m.B] || 0) + 1
+    })
+    const short = allPlayers
+      .filter(p => (played[p] || 0) < needOf(p, achieved))
+      .map(p => ({ player: p, games: earlier(p) + (played[p] || 0) }))
+    const diagnostics = {
+      desired,
+      target: achieved,
+      short,
+      caps,
+      binding,
+      attempts,
+      suggestions: suggestFixes({ groups, boards, totalRounds, desired, target: achieved, caps, offLimited: maxConsecutiveOff != null || maxOffPerHalf != null }),
+      partial: allPlayers
+        .filter(p => earlier(p) + needOf(p, achieved) < achieved)
+        .map(p => ({ player: p, available: availableCount[p], games: earlier(p) + needOf(p, achieved) }))
+    }
+    return { schedule, diagnostics }
+  }
 
   function tryBuild(targetGames) {
     const gamesPlayed = Object.fromEntries(allPlayers.map(p => [p, 0]))
     const pairPlayed = new Set()
     const lastPlayedRound = Object.fromEntries(allPlayers.map(p => [p, 0]))
+    const offRun = Object.fromEntries(allPlayers.map(p => [p, earlierOff[p]?.run || 0]))
+    const offHalf = [
+      Object.fromEntries(allPlayers.map(p => [p, earlierOff[p]?.firstHalf || 0])),
+      Object.fromEntries(allPlayers.map(p => [p, earlierOff[p]?.secondHalf || 0]))
+    ]
+    let brokeLimits = false
     const schedule = []
 
     for (let r = 1; r <= totalRounds; r++) {
@@ -94,8 +869,10 @@ export function buildGlobalSchedule(groupRounds, boards, preferredRounds) {
       let candidates = allMatches.filter(m => {
         const key = m.A < m.B ? `${m.A}|${m.B}` : `${m.B}|${m.A}`
         if (pairPlayed.has(key)) return false
-        if (gamesPlayed[m.A] >= targetGames) return false
-        if (gamesPlayed[m.B] >= targetGames) return false
+        if (!isAvailable(m.A, r) || !isAvailable(m.B, r)) return false
+        if (!canPair(m.A, m.B, r)) return false
+        if (gamesPlayed[m.A] >= needOf(m.A, targetGames)) return false
+        if (gamesPlayed[m.B] >= needOf(m.B, targetGames)) return false
         return true
       })
 
@@ -104,17 +881,28 @@ export function buildGlobalSchedule(groupRounds, boards, preferredRounds) {
         return lastPlayedRound[p] !== (r - 1)
       }
 
+      // Players who would break an OFF limit by waiting again go before anyone else.
+      const halfIdx = r <= half ? 0 : 1
+      const waiting = allPlayers.filter(p => isAvailable(p, r) && gamesPlayed[p] < needOf(p, targetGames))
+      const urgent = new Set(waiting.filter(p => (maxConsecutiveOff != null && offRun[p] >= maxConsecutiveOff)
+        || (maxOffPerHalf != null && (offHalf[halfIdx][p] || 0) >= maxOffPerHalf)))
+      const urgency = (m) => (urgent.has(m.A) ? 1 : 0) + (urgent.has(m.B) ? 1 : 0)
+
+      const isMust = (m) => (mustPlay.has(m.A < m.B ? `${m.A}|${m.B}` : `${m.B}|${m.A}`) ? 1 : 0)
       candidates.sort((m1, m2) => {
+        if (isMust(m1) !== isMust(m2)) return isMust(m2) - isMust(m1)
+        if (urgency(m1) !== urgency(m2)) return urgency(m2) - urgency(m1)
         const byeScore1 = (hadByePrev(m1.A) ? 1 : 0) + (hadByePrev(m1.B) ? 1 : 0)
         const byeScore2 = (hadByePrev(m2.A) ? 1 : 0) + (hadByePrev(m2.B) ? 1 : 0)
         if (byeScore2 !== byeScore1) return byeScore2 - byeScore1
 
-        const d1 = (targetGames - gamesPlayed[m1.A]) + (targetGames - gamesPlayed[m1.B])
-        const d2 = (targetGames - gamesPlayed[m2.A]) + (targetGames - gamesPlayed[m2.B])
+        const due = (p) => needOf(p, targetGames) - gamesPlayed[p]
+        const d1 = due(m1.A) + due(m1.B)
+        const d2 = due(m2.A) + due(m2.B)
         if (d2 !== d1) return d2 - d1
 
-        const mx1 = Math.max(targetGames - gamesPlayed[m1.A], targetGames - gamesPlayed[m1.B])
-        const mx2 = Math.max(targetGames - gamesPlayed[m2.A], targetGames - gamesPlayed[m2.B])
+        const mx1 = Math.max(due(m1.A), due(m1.B))
+        const mx2 = Math.max(due(m2.A), due(m2.B))
         return mx2 - mx1
       })
 
@@ -130,43 +918,671 @@ export function buildGlobalSchedule(groupRounds, boards, preferredRounds) {
         pairPlayed.add(key)
       }
 
+      const sat = new Set(waiting.filter(p => !usedThisRound.has(p)))
+      allPlayers.forEach(p => {
+        if (!sat.has(p)) { offRun[p] = 0; return }
+        if (urgent.has(p)) brokeLimits = true
+        offRun[p] += 1
+        offHalf[halfIdx][p] = (offHalf[halfIdx][p] || 0) + 1
+      })
       schedule.push(round)
     }
 
-    const counts = allPlayers.map(p => gamesPlayed[p])
-    const mn = Math.min(...counts), mx = Math.max(...counts)
-    const equal = (mn === mx && mx === targetGames)
-    return { schedule, equal }
+    const equal = allPlayers.every(p => gamesPlayed[p] === needOf(p, targetGames))
+    const near = allPlayers.every(p => gamesPlayed[p] >= needOf(p, targetGames) - slack)
+    const short = allPlayers
+      .filter(p => gamesPlayed[p] < needOf(p, targetGames))
+      .map(p => ({ player: p, games: earlier(p) + gamesPlayed[p] }))
+    return { schedule, equal, near, short, brokeLimits }
   }
 
+  // Counting checks that rule a target out before any search: a group whose
+  // games due add up to an odd number, more games than boards × rounds, or a
+  // player due more games than they have possible opponents. Returns the
+  // reason ('parity' | 'boards' | 'opponents') or null.
+  function precheck(targetGames) {
+    let total = 0
+    for (const g of groups) {
+      let sum = 0
+      for (const p of g) {
+        const due = needOf(p, targetGames)
+        if (due > g.filter(q => q !== p && canPair(p, q, Infinity) && needOf(q, targetGames) > 0).length) return 'opponents'
+        sum += due
+      }
+      if (sum % 2 === 1) return 'parity'
+      total += sum
+    }
+    return total / 2 > boards * totalRounds ? 'boards' : null
+  }
+
+  // With slack, a target that only parity rules out is searched again with one
+  // player of each odd group due a game fewer. Returns the choices of those
+  // players to try, the ones the greedy pass left short first.
+  function oneShortChoices(targetGames, short) {
+    const wasShort = new Set(short.map(s => s.player))
+    const odd = groups
+      .filter(g => g.reduce((sum, p) => sum + needOf(p, targetGames), 0) % 2 === 1)
+      .map(g => g.filter(p => needOf(p, targetGames) > 0)
+        .sort((a, b) => (wasShort.has(b) ? 1 : 0) - (wasShort.has(a) ? 1 : 0)))
+    const tries = Math.max(0, ...odd.map(g => g.length))
+    return Array.from({ length: tries }, (_, i) => new Set(odd.map(g => g[i % g.length])))
+  }
+
+  // Each target gets half of the budget still left, so a target that runs out of
+  // time never leaves the ones below it with the greedy pass alone. Within that
+  // share, one matching try goes first (it usually settles a large event), then
+  // the exact search (which can prove a small event impossible quickly); if that
+  // runs out of time, further matching tries get the rest.
+  const end = Date.now() + Math.max(0, Number(timeBudgetMs) || 0)
+  const rules = { isAvailable, canPair, mustPlay, maxConsecutiveOff, maxOffPerHalf, earlierGames, earlierOff, half }
+
   while (target >= 0) {
+    const ruledOut = precheck(target)
+    if (ruledOut && !slack) {
+      attempts.push({ target, method: 'check', result: ruledOut, short: [] })
+      target -= 1
+      continue
+    }
     const attempt = tryBuild(target)
-    if (attempt.equal) return attempt.schedule
+    const result = attempt.brokeLimits && attempt.near ? 'offLimits'
+      : attempt.equal ? 'equal' : attempt.near ? 'near' : 'short'
+    attempts.push({ target, method: 'greedy', result, short: attempt.short })
+    if (result === 'equal') return finish(attempt.schedule, target)
+
+    const choices = !ruledOut ? [new Set()] : ruledOut === 'parity' ? oneShortChoices(target, attempt.short) : []
+    if (exact && choices.length) {
+      const now = Date.now()
+      const share = Math.max(0, end - now) / 2
+      for (const oneShort of choices) {
+        const quick = searchByMatching(groups, target, boards, totalRounds, now, { ...rules, oneShort })
+        if (quick.status === 'found') {
+          attempts.push({ target, method: 'matching', result: 'found', short: [] })
+          return finish(quick.schedule, target)
+        }
+      }
+      const spared = { ...rules, oneShort: choices[0] }
+      const search = searchExactSchedule(groups, target, boards, totalRounds, now + share / 3, spared)
+      attempts.push({ target, method: 'exact', result: search.status, short: [] })
+      if (search.status === 'found') return finish(search.schedule, target)
+      if (search.status === 'timeout') {
+        const matched = searchByMatching(groups, target, boards, totalRounds, now + share, spared, 2)
+        attempts.push({ target, method: 'matching', result: matched.status, short: [] })
+        if (matched.status === 'found') return finish(matched.schedule, target)
+      }
+    }
+    if (result === 'near') return finish(attempt.schedule, target)
     target -= 1
   }
-  return Array.from({ length: totalRounds }, () => [])
+  return finish(Array.from({ length: totalRounds }, () => []), 0)
+}
+
+// ---- Withdrawals ----
+// Rounds before `fromRound` stay exactly as printed. The rest of the event is
+// solved again without the withdrawn entrants: pairs that already met stay apart,
+// games already played count towards the target (so the field stays as equal as
+// the remaining rounds allow, at most one game apart), and not-before rules keep
+// their absolute round.
+// OFF rounds already waited count towards the OFF limits of the whole event.
+// The re-solved rounds then go through the post-processing steps, with the
+// frozen rounds as history.
+// options: { withdrawn, boards, desiredGames, isAvailable, constraints,
+//   maxConsecutiveOff, maxOffPerHalf, exact, timeBudgetMs, steps, mixerSeed }
+// desiredGames is the games-per-player target of the schedule being repaired.
+// With mixerSeed set, the remaining rounds are a new mixer rotation instead, one
+// that carries on from the partners, opponents and sit-outs of the frozen rounds.
+// Returns { schedule, diagnostics } like buildGlobalSchedule, numbered as in the
+// full event; with no rounds left, the schedule comes back unchanged.
+export function rescheduleRemaining(schedule, groups, fromRound, options = {}) {
+  const { withdrawn = [], boards, isAvailable = () => true, constraints = [], steps = DEFAULT_POST_PROCESS, mixerSeed, ...rest } = options
+  const offset = Math.max(0, Math.min(schedule.length, Math.floor(Number(fromRound) || 1) - 1))
+  if (offset === schedule.length) return { schedule, diagnostics: null }
+
+  const frozen = schedule.slice(0, offset)
+  const isAvailableLater = (p, r) => isAvailable(p, r + offset)
+  const gone = new Set(withdrawn)
+  const renumber = (rounds) => rounds.map(r => r.map(m => ({ ...m, round: m.round + offset })))
+  // Not-before rounds counted from the first re-solved round.
+  const later = constraints.flatMap(c => {
+    if (c.kind !== 'notBefore') return [c]
+    const round = Number(c.round) - offset
+    return round > 1 ? [{ ...c, round }] : []
+  })
+
+  if (mixerSeed != null) {
+    const built = buildMixerSchedule(groups.flat().filter(p => !gone.has(p)), boards, schedule.length - offset, {
+      randomSeed: mixerSeed, isAvailable: isAvailableLater, earlierRounds: frozen, constraints: later
+    })
+    const processed = postProcessSchedule(built.schedule, { steps, boards, membersOf: teamMembers, isAvailable: isAvailableLater, earlierRounds: frozen })
+    return { schedule: [...frozen, ...renumber(processed.schedule)], diagnostics: { ...built.diagnostics, post: processed.reports } }
+  }
+
+  const key = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`)
+  const earlierGames = {}
+  const met = new Set()
+  frozen.flat().forEach(m => {
+    earlierGames[m.A] = (earlierGames[m.A] || 0) + 1
+    earlierGames[m.B] = (earlierGames[m.B] || 0) + 1
+    met.add(key(m.A, m.B))
+  })
+  // Rounds waited so far. Anyone still to play has a later game, so every one
+  // of them is an OFF round (see offRoundReport); the halves are the event's.
+  const half = Math.ceil(schedule.length / 2)
+  const earlierOff = {}
+  groups.flat().forEach(p => {
+    const off = { run: 0, firstHalf: 0, secondHalf: 0 }
+    frozen.forEach((round, i) => {
+      if (!isAvailable(p, i + 1) || round.some(m => m.A === p || m.B === p)) {
+        off.run = 0
+        return
+      }
+      off.run++
+      if (i < half) off.firstHalf++
+      else off.secondHalf++
+    })
+    earlierOff[p] = off
+  })
+  const rules = [
+    ...later.filter(c => !(c.kind === 'mustPlay' && met.has(key(c.a, c.b)))),
+    ...[...met].map(k => {
+      const [a, b] = k.split('|')
+      return { kind: 'never', a, b }
+    })
+  ]
+  const built = buildGlobalSchedule(
+    buildGroupPairings(groups.map(g => g.filter(p => !gone.has(p)))),
+    boards,
+    schedule.length - offset,
+    { slack: 1, ...rest, isAvailable: isAvailableLater, constraints: rules, earlierGames, earlierOff, roundOffset: offset }
+  )
+  const processed = postProcessSchedule(built.schedule, {
+    ...rest, steps, boards, isAvailable: isAvailableLater, constraints: rules, earlierRounds: frozen
+  })
+  return { schedule: [...frozen, ...renumber(processed.schedule)], diagnostics: { ...built.diagnostics, post: processed.reports } }
+}
+
+// Board or opponent changes between two versions of a schedule, for reprinting.
+// Returns [{ round, entrant, before, after }] where before/after are
+// { board, side, opponent } (side = the entrant's own side id) or null when OFF.
+export function scheduleChanges(before, after, entrants, membersOf = (side) => [side]) {
+  const slotOf = (rounds, r, p) => {
+    const m = (rounds[r] || []).find(x => membersOf(x.A).includes(p) || membersOf(x.B).includes(p))
+    if (!m) return null
+    const mine = membersOf(m.A).includes(p) ? m.A : m.B
+    return { board: m.board, side: mine, opponent: mine === m.A ? m.B : m.A }
+  }
+  const changes = []
+  for (let r = 0; r < Math.max(before.length, after.length); r++) {
+    entrants.forEach(p => {
+      const a = slotOf(before, r, p), b = slotOf(after, r, p)
+      const same = (!a && !b) || (a && b && a.board === b.board && a.side === b.side && a.opponent === b.opponent)
+      if (!same) changes.push({ round: r + 1, entrant: p, before: a, after: b })
+    })
+  }
+  return changes
+}
+
+// ---- Rotating-partner mixer ----
+// Every round re-deals the field into boards of four, two against two. Repeat
+// partnerships cost far more than repeat opponents, so partners rotate first.
+// Sit-outs go to whoever has sat out least. Each round tries several seeded deals,
+// improves each by swapping players between boards, and keeps the cheapest, so a
+// given seed always produces the same evening. Players a never / not-before rule
+// keeps apart are only put on opposite sides when no deal avoids it.
+const MIXER_PARTNER_COST = 10
+const MIXER_OPPONENT_COST = 1
+const MIXER_RULE_COST = 1000
+const MIXER_RESTARTS = 24
+
+// options: { randomSeed = 1, isAvailable(player, round), earlierRounds = [], constraints = [] }
+// earlierRounds are mixer rounds already played: their partners, opponents and
+// sit-outs count from the start, with isAvailable asked about them as rounds
+// 1 - earlierRounds.length … 0 (as in smoothByes).
+// Returns { schedule, diagnostics: { mixer: { repeatPartners, repeatOpponents, sitOuts } } }
+// where match sides are teamId([a, b]) and sitOuts maps player -> rounds sat out
+// (rounds a player is unavailable for are not counted); the counts include earlierRounds.
+export function buildMixerSchedule(players, boards, rounds, options = {}) {
+  const { randomSeed = 1, isAvailable = () => true, earlierRounds = [], constraints = [] } = options
+  const totalRounds = Math.max(1, Number(rounds) || 1)
+  const rand = mulberry32(Number(randomSeed) || 0)
+  const canPair = pairBlocks(constraints)
+
+  const partnered = {} // "p|q" -> times partnered
+  const faced = {} // "p|q" -> times opposed
+  const sitOuts = Object.fromEntries(players.map(p => [p, 0]))
+  const pairKey = (p, q) => (p < q ? `${p}|${q}` : `${q}|${p}`)
+  const count = (map, p, q) => map[pairKey(p, q)] || 0
+
+  // Cheapest 2-vs-2 split of four players in round r: [[a, b], [c, d]] and its cost.
+  const SPLITS = [[0, 1, 2, 3], [0, 2, 1, 3], [0, 3, 1, 2]]
+  const bestSplit = (four, r) => {
+    let best = null
+    SPLITS.forEach(([i, j, k, l]) => {
+      const [a, b, c, d] = [four[i], four[j], four[k], four[l]]
+      const opposed = [[a, c], [a, d], [b, c], [b, d]]
+      const cost = MIXER_PARTNER_COST * (count(partnered, a, b) + count(partnered, c, d))
+        + MIXER_OPPONENT_COST * opposed.reduce((sum, [p, q]) => sum + count(faced, p, q), 0)
+        + MIXER_RULE_COST * opposed.filter(([p, q]) => !canPair(p, q, r)).length
+      if (!best || cost < best.cost) best = { sides: [[a, b], [c, d]], cost }
+    })
+    return best
+  }
+
+  const shuffle = (list) => {
+    const out = [...list]
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1))
+      ;[out[i], out[j]] = [out[j], out[i]]
+    }
+    return out
+  }
+
+  // Hill-climb by swapping single players between two boards.
+  const improve = (deal, r) => {
+    const costs = deal.map(t => bestSplit(t, r).cost)
+    let improved = true
+    while (improved) {
+      improved = false
+      for (let i = 0; i < deal.length; i++) {
+        for (let j = i + 1; j < deal.length; j++) {
+          for (let x = 0; x < 4; x++) {
+            for (let y = 0; y < 4; y++) {
+              const ti = [...deal[i]], tj = [...deal[j]]
+              ;[ti[x], tj[y]] = [tj[y], ti[x]]
+              const ci = bestSplit(ti, r).cost, cj = bestSplit(tj, r).cost
+              if (ci + cj < costs[i] + costs[j]) {
+                deal[i] = ti
+                deal[j] = tj
+                costs[i] = ci
+                costs[j] = cj
+                improved = true
+              }
+            }
+          }
+        }
+      }
+    }
+    return { deal, cost: costs.reduce((a, b) => a + b, 0) }
+  }
+
+  const tally = (round) => round.forEach(m => {
+    const [a, b] = teamMembers(m.A), [c, d] = teamMembers(m.B)
+    ;[[a, b], [c, d]].forEach(([p, q]) => { partnered[pairKey(p, q)] = count(partnered, p, q) + 1 })
+    ;[[a, c], [a, d], [b, c], [b, d]].forEach(([p, q]) => { faced[pairKey(p, q)] = count(faced, p, q) + 1 })
+  })
+  earlierRounds.forEach((round, i) => {
+    const r = i + 1 - earlierRounds.length
+    const playing = new Set(round.flatMap(m => [...teamMembers(m.A), ...teamMembers(m.B)]))
+    players.forEach(p => { if (isAvailable(p, r) && !playing.has(p)) sitOuts[p] += 1 })
+    tally(round)
+  })
+
+  const schedule = []
+  for (let r = 1; r <= totalRounds; r++) {
+    const present = players.filter(p => isAvailable(p, r))
+    const tables = Math.min(Math.max(1, Number(boards) || 1), Math.floor(present.length / 4))
+    if (!tables) {
+      schedule.push([])
+      continue
+    }
+    // Whoever has sat out least sits out next; ties are broken randomly.
+    const order = shuffle(present).sort((p, q) => sitOuts[p] - sitOuts[q])
+    const sitting = present.length - tables * 4
+    order.slice(0, sitting).forEach(p => { sitOuts[p] += 1 })
+    const playing = order.slice(sitting)
+
+    let best = null
+    for (let k = 0; k < MIXER_RESTARTS; k++) {
+      const dealt = shuffle(playing)
+      const tried = improve(Array.from({ length: tables }, (_, t) => dealt.slice(t * 4, t * 4 + 4)), r)
+      if (!best || tried.cost < best.cost) best = tried
+      if (best.cost === 0) break
+    }
+
+    const round = best.deal.map((four, t) => {
+      const [[a, b], [c, d]] = bestSplit(four, r).sides
+      return { round: r, board: t + 1, A: teamId([a, b]), B: teamId([c, d]), group: 1 }
+    })
+    tally(round)
+    schedule.push(round)
+  }
+
+  const repeats = (map) => Object.values(map).reduce((sum, n) => sum + Math.max(0, n - 1), 0)
+  return {
+    schedule,
+    diagnostics: {
+      mixer: { repeatPartners: repeats(partnered), repeatOpponents: repeats(faced), sitOuts }
+    }
+  }
+}
+
+// ---- Board fairness ----
+// player -> [games on board 1, board 2, …]; membersOf splits a side into players.
+export function boardHistogram(schedule, boards, membersOf = (side) => [side]) {
+  const n = Math.max(1, Number(boards) || 1, ...schedule.flat().map(m => m.board))
+  const hist = {}
+  schedule.forEach(round => round.forEach(m => {
+    ;[...membersOf(m.A), ...membersOf(m.B)].forEach(p => {
+      if (!hist[p]) hist[p] = new Array(n).fill(0)
+      hist[p][m.board - 1]++
+    })
+  }))
+  return hist
 }
 
-export function toCSVWithOff(players, playerGroupMap, schedule) {
+// Minimum-cost assignment of rows to distinct columns (rows <= columns), Hungarian
+// method. Returns the column chosen for each row.
+function assignMinCost(cost) {
+  const n = cost.length, m = cost[0].length
+  const u = new Array(n + 1).fill(0), v = new Array(m + 1).fill(0)
+  const owner = new Array(m + 1).fill(0), way = new Array(m + 1).fill(0)
+  for (let i = 1; i <= n; i++) {
+    owner[0] = i
+    let j0 = 0
+    const minv = new Array(m + 1).fill(Infinity)
+    const used = new Array(m + 1).fill(false)
+    do {
+      used[j0] = true
+      const i0 = owner[j0]
+      let delta = Infinity, j1 = 0
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j]
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0 }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) { u[owner[j]] += delta; v[j] -= delta } else minv[j] -= delta
+      }
+      j0 = j1
+    } while (owner[j0] !== 0)
+    do {
+      const j1 = way[j0]
+      owner[j0] = owner[j1]
+      j0 = j1
+    } while (j0)
+  }
+  const out = new Array(n)
+  for (let j = 1; j <= m; j++) if (owner[j]) out[owner[j] - 1] = j - 1
+  return out
+}
+
+const BOARD_REPEAT_COST = 3 // same board as the round before or after
+const BOARD_RESTARTS = 24
+
+// Re-numbers the boards inside each round (who plays whom never changes) so every
+// player's games spread as evenly as possible over all boards, and nobody stays on
+// one board for consecutive rounds when it can be helped. Minimises the sum of
+// squared per-board counts plus a penalty per consecutive repeat: each round in
+// turn is solved exactly as an assignment problem with the others held fixed, and
+// the sweep repeats until no round changes. That can settle in a local optimum, so
+// a few seeded re-deals of the boards are tried as well and the best kept. Unused
+// boards count, so with fewer matches than boards everyone rotates onto every board.
+// earlierRounds are rounds already played: their boards count towards each
+// player's spread, and the last of them towards the first repeat.
+// options: { membersOf = side => [side], passes = 6, restarts = BOARD_RESTARTS, earlierRounds = [] }
+// Returns { schedule, histogram } (see boardHistogram), earlier rounds included.
+export function balanceBoards(schedule, boards, options = {}) {
+  const { membersOf = (side) => [side], passes = 6, restarts = BOARD_RESTARTS, earlierRounds = [] } = options
+  const n = Math.max(1, Number(boards) || 1, ...[...earlierRounds, ...schedule].flat().map(m => m.board))
+  const playersOf = (m) => [...membersOf(m.A), ...membersOf(m.B)]
+  const withEarlier = (rounds) => boardHistogram([...earlierRounds, ...rounds], n, membersOf)
+  const lastSeat = {}
+  earlierRounds[earlierRounds.length - 1]?.forEach(m => playersOf(m).forEach(p => { lastSeat[p] = m.board }))
+
+  function descend(start) {
+    const rounds = start.map(r => r.map(m => ({ ...m })))
+    const hist = withEarlier(rounds)
+    const seat = rounds.map(r => {
+      const out = {}
+      r.forEach(m => playersOf(m).forEach(p => { out[p] = m.board }))
+      return out
+    })
+
+    for (let pass = 0; pass < passes; pass++) {
+      let changed = false
+      rounds.forEach((round, ri) => {
+        if (!round.length) return
+        round.forEach(m => playersOf(m).forEach(p => { hist[p][m.board - 1]-- }))
+        // Marginal cost of a player's next game on board b is 2c+1; the +1 is the
+        // same for every board, and the tiny bias keeps a board when nothing is gained.
+        const cost = round.map(m => Array.from({ length: n }, (_, b) => {
+          let c = 0
+          playersOf(m).forEach(p => {
+            c += 2 * hist[p][b]
+            if ((ri ? seat[ri - 1] : lastSeat)[p] === b + 1) c += BOARD_REPEAT_COST
+            if (seat[ri + 1]?.[p] === b + 1) c += BOARD_REPEAT_COST
+          })
+          return c * 1000 + (m.board === b + 1 ? 0 : 1)
+        }))
+        assignMinCost(cost).forEach((b, i) => {
+          const m = round[i]
+          if (m.board !== b + 1) changed = true
+          m.board = b + 1
+          playersOf(m).forEach(p => {
+            hist[p][b]++
+            seat[ri][p] = b + 1
+          })
+        })
+        round.sort((x, y) => x.board - y.board)
+      })
+      if (!changed) break
+    }
+
+    let score = 0
+    Object.values(hist).forEach(counts => counts.forEach(c => { score += c * c }))
+    seat.forEach((s, ri) => {
+      Object.keys(s).forEach(p => { if ((ri ? seat[ri - 1] : lastSeat)[p] === s[p]) score += BOARD_REPEAT_COST })
+    })
+    return { schedule: rounds, histogram: hist, score }
+  }
+
+  // Nobody can do better than an even split of their own games.
+  let floor = 0
+  Object.values(withEarlier(schedule)).forEach(counts => {
+    const games = counts.reduce((a, b) => a + b, 0)
+    const q = Math.floor(games / n), r = games % n
+    floor += r * (q + 1) * (q + 1) + (n - r) * q * q
+  })
+
+  let best = descend(schedule)
+  const rand = mulberry32(1)
+  for (let k = 0; k < restarts && best.score > floor; k++) {
+    const dealt = schedule.map(r => {
+      const free = Array.from({ length: n }, (_, b) => b + 1)
+      return r.map(m => ({ ...m, board: free.splice(Math.floor(rand() * free.length), 1)[0] }))
+    })
+    const tried = descend(dealt)
+    if (tried.score < best.score) best = tried
+  }
+  return { schedule: best.schedule, histogram: best.histogram }
+}
+
+// ---- Bye smoothing ----
+// Reorders whole rounds (pairings and boards stay together) so nobody sits out
+// several rounds in a row. Each run of consecutive OFF rounds costs its length
+// squared, and pairs of rounds are swapped while that lowers the total. A swap is
+// only made when every player in both rounds is available in their new slot, no
+// not-before rule is broken and no more players break the OFF limits than before.
+// Empty rounds stay where they are. earlierRounds (context) are rounds already
+// played before these: they never move, but runs and limits count them, with
+// isAvailable asked about them as rounds 1 - earlierRounds.length … 0.
+function smoothByes(schedule, options = {}) {
+  const { membersOf = (side) => [side], isAvailable = () => true, constraints = [], earlierRounds = [] } = options
+  const canPair = pairBlocks(constraints)
+  const playersOf = (m) => [...membersOf(m.A), ...membersOf(m.B)]
+  const everyone = [...new Set(schedule.flat().flatMap(playersOf))]
+  const playing = schedule.map(r => new Set(r.flatMap(playersOf)))
+  const playedBefore = earlierRounds.map(r => new Set(r.flatMap(playersOf)))
+  const k = earlierRounds.length
+  const slots = schedule.map((r, i) => i).filter(i => schedule[i].length)
+  const order = schedule.map((r, i) => i) // order[slot] = original round index
+
+  const fits = (ri, slot) => schedule[ri].every(m => (
+    playersOf(m).every(p => isAvailable(p, slot + 1)) && canPair(m.A, m.B, slot + 1)
+  ))
+  const cost = () => {
+    const sets = [
+      ...earlierRounds.map((r, i) => (r.length ? playedBefore[i] : null)),
+      ...order.map(ri => (schedule[ri].length ? playing[ri] : null))
+    ]
+    let total = 0
+    everyone.forEach(p => {
+      let run = 0
+      sets.forEach(set => {
+        if (!set || set.has(p)) {
+          total += run * run
+          run = 0
+        } else run++
+      })
+      total += run * run
+    })
+    return total
+  }
+
+  const limited = offLimit(options.maxConsecutiveOff) != null || offLimit(options.maxOffPerHalf) != null
+  const wholeEvent = (p, r) => isAvailable(p, r - k)
+  const breaches = () => (limited
+    ? offLimitBreaches(offRoundReport([...earlierRounds, ...order.map(ri => schedule[ri])], everyone, { isAvailable: wholeEvent, membersOf }), options).length
+    : 0)
+
+  let current = cost()
+  let broken = breaches()
+  let improved = true
+  while (improved) {
+    improved = false
+    for (let a = 0; a < slots.length; a++) {
+      for (let b = a + 1; b < slots.length; b++) {
+        const i = slots[a], j = slots[b]
+        if (!fits(order[i], j) || !fits(order[j], i)) continue
+        ;[order[i], order[j]] = [order[j], order[i]]
+        const next = cost()
+        const nextBroken = breaches()
+        if (nextBroken < broken || (nextBroken === broken && next < current)) {
+          current = next
+          broken = nextBroken
+          improved = true
+        } else {
+          ;[order[i], order[j]] = [order[j], order[i]]
+        }
+      }
+    }
+  }
+
+  const rounds = order.map((ri, slot) => schedule[ri].map(m => ({ ...m, round: slot + 1 })))
+  const offRuns = {}
+  everyone.forEach(p => {
+    let run = 0, longest = 0
+    rounds.forEach(r => {
+      run = r.length && !r.some(m => playersOf(m).includes(p)) ? run + 1 : 0
+      longest = Math.max(longest, run)
+    })
+    offRuns[p] = longest
+  })
+  return { schedule: rounds, report: { longestOff: offRuns } }
+}
+
+// ---- Color balancing ----
+// Side A shoots first with the light discs. Each match is flipped or kept, round by
+// round, to keep every player's A/B count level and avoid three of a kind in a row.
+// earlierRounds (context) are kept as they are and counted first; the report's
+// counts include them.
+function balanceColors(schedule, { membersOf = (side) => [side], earlierRounds = [] } = {}) {
+  const tally = {} // player -> { A, B, last, streak }
+  const get = (p) => (tally[p] = tally[p] || { A: 0, B: 0, last: '', streak: 0 })
+  const costOf = (sideA, sideB) => {
+    let c = 0
+    ;[[sideA, 'A'], [sideB, 'B']].forEach(([side, color]) => side.forEach(p => {
+      const t = get(p)
+      const diff = t.A - t.B + (color === 'A' ? 1 : -1)
+      c += diff * diff
+      if (t.last === color && t.streak >= 2) c += 4
+    }))
+    return c
+  }
+  const record = (sideA, sideB) => [[sideA, 'A'], [sideB, 'B']].forEach(([side, color]) => side.forEach(p => {
+    const t = get(p)
+    t[color]++
+    t.streak = t.last === color ? t.streak + 1 : 1
+    t.last = color
+  }))
+  earlierRounds.forEach(round => round.forEach(m => record(membersOf(m.A), membersOf(m.B))))
+  const rounds = schedule.map(round => round.map(m => {
+    const a = membersOf(m.A), b = membersOf(m.B)
+    const flip = costOf(b, a) < costOf(a, b)
+    record(flip ? b : a, flip ? a : b)
+    return flip ? { ...m, A: m.B, B: m.A } : { ...m }
+  }))
+  const counts = Object.fromEntries(Object.entries(tally).map(([p, t]) => [p, { A: t.A, B: t.B }]))
+  return { schedule: rounds, report: { counts } }
+}
+
+// ---- Post-processing pipeline ----
+// Each step takes (schedule, context) and returns { schedule, report }; who plays
+// whom never changes. context: { boards, membersOf, isAvailable, constraints,
+// maxConsecutiveOff, maxOffPerHalf, earlierRounds }.
+export const POST_PROCESS_STEPS = {
+  byes: { label: 'Bye smoothing', run: smoothByes },
+  boards: {
+    label: 'Board rebalance',
+    run: (schedule, ctx) => {
+      const out = balanceBoards(schedule, ctx.boards, { membersOf: ctx.membersOf, earlierRounds: ctx.earlierRounds })
+      return { schedule: out.schedule, report: { histogram: out.histogram } }
+    }
+  },
+  colors: { label: 'Color balancing', run: balanceColors }
+}
+export const DEFAULT_POST_PROCESS = ['byes', 'boards', 'colors']
+
+// options: { steps = DEFAULT_POST_PROCESS, ...context }
+// A step is a POST_PROCESS_STEPS id or a function (schedule, context) => { schedule, report }.
+// Returns { schedule, reports } with each step's report under its id (or index).
+export function postProcessSchedule(schedule, options = {}) {
+  const { steps = DEFAULT_POST_PROCESS, ...context } = options
+  let current = schedule
+  const reports = {}
+  steps.forEach((step, i) => {
+    const run = typeof step === 'function' ? step : POST_PROCESS_STEPS[step]?.run
+    if (!run) return
+    const out = run(current, context)
+    current = out.schedule
+    reports[typeof step === 'function' ? i : step] = out.report
+  })
+  return { schedule: current, reports }
+}
+
+// One CSV cell: quoted when it holds a quote, comma or line break.
+export function csvField(v) {
+  const s = String(v)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// With membersOf (mixer), each side is split into its players and a Partner column is added.
+// With startOf(round) (a timed event), a Time column follows Round.
+export function toCSVWithOff(players, playerGroupMap, schedule, nameOf = (p) => p, membersOf = null, startOf = null) {
   const lines = []
-  lines.push(['Round', 'Board', 'Group', 'Player', 'Opponent'].join(','))
+  lines.push(['Round', ...(startOf ? ['Time'] : []), 'Board', 'Group', 'Player', ...(membersOf ? ['Partner'] : []), 'Opponent'].join(','))
 
   for (let r = 0; r < schedule.length; r++) {
     const matches = schedule[r]
     const assigned = new Map()
 
     matches.forEach(m => {
-      assigned.set(m.A, { board: m.board, group: m.group, opp: m.B })
-      assigned.set(m.B, { board: m.board, group: m.group, opp: m.A })
+      ;[[m.A, m.B], [m.B, m.A]].forEach(([side, opp]) => {
+        const members = membersOf ? membersOf(side) : [side]
+        members.forEach(p => {
+          const partner = members.filter(q => q !== p).map(nameOf).join(' & ')
+          assigned.set(p, { board: m.board, group: m.group, opp, partner })
+        })
+      })
     })
 
     players.forEach(p => {
       const a = assigned.get(p)
-      if (a) {
-        lines.push([r + 1, a.board, a.group ?? '', p, a.opp].join(','))
-      } else {
-        lines.push([r + 1, 'OFF', playerGroupMap[p] ?? '', p, ''].join(','))
-      }
+      const time = startOf ? [startOf(r + 1)] : []
+      const row = a
+        ? [r + 1, ...time, a.board, a.group ?? '', nameOf(p), ...(membersOf ? [a.partner] : []), nameOf(a.opp)]
+        : [r + 1, ...time, 'OFF', playerGroupMap[p] ?? '', nameOf(p), ...(membersOf ? [''] : []), '']
+      lines.push(row.map(csvField).join(','))
     })
   }
   return lines.join('\n') + '\n'
@@ -0,0 +1,63 @@
+// =============== STAGES (multi-session events) ===============
+// Exports used by the app:
+// - stagesOf        <-- library entries of one event, in stage order
+// - nextStage       <-- settings for the stage that follows an existing one
+// - qualifiersFrom  <-- roster (and fixed teams) seeded from an earlier stage's standings
+//
+// A stage is an ordinary tournament with its own roster, boards and format, plus
+// `stage: { eventId, index, label }` tying it to the other sessions of the event.
+// `seedFrom: { entryId, perGroup }` names the earlier stage it is seeded from;
+// that stage keeps its current standings in `ranking` (one list of entrant ids per
+// group, best first) so a later stage can read them without re-running anything.
+
+import { defaultTournament } from './storage.js'
+import { seedPlayoffField } from './playoffs.js'
+import { teamMembers } from './scheduler.js'
+
+export function stagesOf(entries, eventId) {
+  if (!eventId) return []
+  return entries
+    .filter(e => e.tournament.stage?.eventId === eventId)
+    .sort((a, b) => a.tournament.stage.index - b.tournament.stage.index)
+}
+
+// The next stage shares the event name, header, logo and play mode; it starts with
+// an empty roster, seeded from `entryId` (top `perGroup` per group, like playoffs).
+export function nextStage(source, entryId, eventId, index) {
+  const fresh = defaultTournament()
+  return {
+    ...fresh,
+    name: source.name,
+    date: source.date,
+    division: source.division,
+    title: source.title,
+    subtitle: source.subtitle,
+    logo: source.logo,
+    playMode: source.playMode,
+    numBoards: source.numBoards,
+    tieBreakers: source.tieBreakers,
+    roster: [],
+    stage: { eventId, index, label: `Stage ${index}` },
+    seedFrom: { entryId, perGroup: Number(source.playoffPerGroup) || 2 }
+  }
+}
+
+// Qualifiers go by finishing place, then group (A1, B1, A2, B2…), and their seed
+// is that order. perGroup 0 or blank takes everyone. Doubles teams carry over as
+// fixed partners. Returns { roster, teams, missing } where `missing` is true while
+// the source has no standings yet.
+export function qualifiersFrom(source, perGroup) {
+  const ranking = source.ranking || []
+  const n = Number(perGroup) > 0 ? Number(perGroup) : Math.max(0, ...ranking.map(g => g.length))
+  const field = seedPlayoffField(ranking, n)
+  const byId = Object.fromEntries((source.roster || []).map(p => [p.id, p]))
+  const roster = []
+  const teams = []
+  field.forEach(f => {
+    const members = teamMembers(f.player).filter(id => byId[id])
+    // Availability was for the earlier session, so it does not carry over.
+    members.forEach(id => roster.push({ ...byId[id], seed: f.seed, firstRound: null, lastRound: null, skipRounds: '' }))
+    if (members.length === 2) teams.push(members)
+  })
+  return { roster, teams, missing: !ranking.length }
+}
@@ -0,0 +1,125 @@
+// =============== STANDINGS ===============
+// Exports used by the app:
+// - TIE_BREAKERS          <-- ids + labels, default order
+// - computeStandings      <-- per-player totals ranked with a configurable tie-break chain
+//
+// Rows are ranked by total game points (2/1/0 per game). Players level on points
+// are split by the enabled tie-breakers in order; each breaker only looks at the
+// players still tied, so head-to-head is a mini-league among exactly those players.
+// In the mixer a match side is a changing pair; options.membersOf splits a side into
+// its players so every partner is credited with the side's result.
+
+import { resultFor, validateGame, isGameEmpty } from './results.js'
+
+export const TIE_BREAKERS = [
+  { id: 'headToHead', label: 'Head-to-head points' },
+  { id: 'twenties', label: 'Total 20s' },
+  { id: 'differential', label: 'Points differential' },
+  { id: 'buchholz', label: 'Strength of schedule (Buchholz)' },
+  { id: 'coinFlip', label: 'Coin flip' }
+]
+
+// Stable pseudo-random value per player so a coin flip does not change on re-render.
+function coin(player, seed) {
+  let h = 2166136261 ^ (Number(seed) || 0)
+  for (const ch of String(player)) {
+    h = Math.imul(h ^ ch.charCodeAt(0), 16777619)
+  }
+  h = Math.imul(h ^ (h >>> 15), 2246822507)
+  return (h ^ (h >>> 13)) >>> 0
+}
+
+// tieBreakers: ordered list of TIE_BREAKERS ids to apply.
+// options: { coinSeed = 1, membersOf = side => [side] }
+export function computeStandings(players, schedule, results, tieBreakers = [], options = {}) {
+  const { coinSeed = 1, membersOf = (side) => [side] } = options
+  const rows = Object.fromEntries(players.map(p => [p, {
+    player: p, played: 0, points: 0, against: 0, won: 0, tied: 0, lost: 0,
+    twenties: 0, differential: 0, buchholz: 0, opponents: [], rank: 0, decidedBy: ''
+  }]))
+  const h2h = {} // "p|q" -> points p scored against q
+
+  schedule.flat().forEach(m => {
+    const r = resultFor(results, m)
+    if (!r) return
+    const sideA = membersOf(m.A), sideB = membersOf(m.B)
+    let games = 0
+    r.games.forEach(g => {
+      if (isGameEmpty(g) || validateGame(g).length) return
+      games++
+      const pa = Number(g.pointsA), pb = Number(g.pointsB)
+      const ta = Number(g.twentiesA) || 0, tb = Number(g.twentiesB) || 0
+      sideA.forEach(p => sideB.forEach(q => {
+        h2h[`${p}|${q}`] = (h2h[`${p}|${q}`] || 0) + pa
+        h2h[`${q}|${p}`] = (h2h[`${q}|${p}`] || 0) + pb
+      }))
+      ;[[sideA, pa, pb, ta], [sideB, pb, pa, tb]].forEach(([side, mine, theirs, twenties]) => {
+        side.forEach(p => {
+          const row = rows[p]
+          if (!row) return
+          row.points += mine
+          row.against += theirs
+          row.twenties += twenties
+          if (mine > theirs) row.won++
+          else if (mine < theirs) row.lost++
+          else row.tied++
+        })
+      })
+    })
+    if (!games) return
+    ;[[sideA, sideB], [sideB, sideA]].forEach(([side, opp]) => side.forEach(p => {
+      if (!rows[p]) return
+      rows[p].played++
+      rows[p].opponents.push(...opp)
+    }))
+  })
+
+  Object.values(rows).forEach(row => {
+    row.differential = row.points - row.against
+    row.buchholz = row.opponents.reduce((sum, o) => sum + (rows[o]?.points || 0), 0)
+  })
+
+  const keyFor = {
+    headToHead: (row, tied) => tied.reduce((sum, o) => sum + (o.player === row.player ? 0 : h2h[`${row.player}|${o.player}`] || 0), 0),
+    twenties: row => row.twenties,
+    differential: row => row.differential,
+    buchholz: row => row.buchholz,
+    coinFlip: row => coin(row.player, coinSeed)
+  }
+  const labelFor = Object.fromEntries(TIE_BREAKERS.map(t => [t.id, t.label]))
+
+  // Split a block of players level on everything so far, one breaker at a time.
+  // Returns the block as a list of sub-blocks that are still fully level.
+  function breakTies(block, chain) {
+    if (block.length < 2 || !chain.length) return [block]
+    const [id, ...rest] = chain
+    const key = keyFor[id]
+    if (!key) return breakTies(block, rest)
+    const keyed = block.map(row => ({ row, k: key(row, block) }))
+    keyed.sort((x, y) => y.k - x.k)
+    const out = []
+    for (let i = 0; i < keyed.length;) {
+      let j = i
+      while (j < keyed.length && keyed[j].k === keyed[i].k) j++
+      const sub = keyed.slice(i, j).map(x => x.row)
+      if (sub.length < block.length) sub.forEach(row => { row.decidedBy = row.decidedBy || labelFor[id] })
+      out.push(...breakTies(sub, rest))
+      i = j
+    }
+    return out
+  }
+
+  const byPoints = Object.values(rows).sort((x, y) => y.points - x.points)
+  const ranked = []
+  for (let i = 0; i < byPoints.length;) {
+    let j = i
+    while (j < byPoints.length && byPoints[j].points === byPoints[i].points) j++
+    // Players still level after the whole chain share a rank.
+    breakTies(byPoints.slice(i, j), tieBreakers).forEach(level => {
+      const rank = ranked.length + 1
+      level.forEach(row => { row.rank = rank; ranked.push(row) })
+    })
+    i = j
+  }
+  return ranked
+}
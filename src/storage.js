@@ -0,0 +1,218 @@
+// =============== LOCAL PERSISTENCE ===============
+// Exports used by the app:
+// - STORAGE_VERSION
+// - defaultTournament     <-- every persisted setting, with its default
+// - STATUS_LABELS         <-- display label for each tournament status
+// - createEntry           <-- wrap a tournament for the library (id + timestamps)
+// - emptyLibrary
+// - loadLibrary           <-- last autosave (migrated to the current version) or null
+// - saveLibrary           <-- false when the save did not fit (or there is no storage)
+// - tournamentNamesToIds  <-- upgrade a pre-v4 tournament's schedule/results to player ids
+//
+// Saves are { version, savedAt, library } where library is
+// { activeId, tournaments: { [id]: { id, createdAt, updatedAt, tournament } } }.
+// When the saved shape changes, bump STORAGE_VERSION and add a step to MIGRATIONS
+// that upgrades a save from the previous version; loadLibrary runs every step in
+// order. A save that cannot be read is moved to BACKUP_KEY (if there is room for
+// it) instead of being overwritten.
+
+import { buildPlayers, DEFAULT_POST_PROCESS } from './scheduler.js'
+import { TIE_BREAKERS } from './standings.js'
+import { createPlayer, rosterFromLegacy } from './roster.js'
+
+export const STORAGE_VERSION = 4
+const STORAGE_KEY = 'crokinole-scheduler:session'
+const BACKUP_KEY = 'crokinole-scheduler:session-unreadable'
+
+// version n -> function upgrading a version-n save to version n + 1
+const MIGRATIONS = {
+  // v1 held a single tournament; it becomes the only (and active) library entry.
+  1: (save) => {
+    const entry = createEntry({ ...save.tournament, name: 'Recovered tournament' }, save.savedAt)
+    return {
+      version: 2,
+      savedAt: save.savedAt,
+      library: { activeId: entry.id, tournaments: { [entry.id]: entry } }
+    }
+  },
+  // v2 kept players as a names box + count; v3 has a roster with stable player ids.
+  2: (save) => {
+    const tournaments = {}
+    Object.values(save.library.tournaments).forEach(entry => {
+      const { namesText, numPlayers, playerDetails, ...rest } = entry.tournament
+      tournaments[entry.id] = { ...entry, tournament: { ...rest, roster: rosterFromLegacy(namesText, numPlayers, playerDetails) } }
+    })
+    return { ...save, version: 3, library: { ...save.library, tournaments } }
+  },
+  // v3 schedules and results named players; v4 uses roster ids throughout.
+  3: (save) => {
+    const tournaments = {}
+    Object.values(save.library.tournaments).forEach(entry => {
+      tournaments[entry.id] = { ...entry, tournament: tournamentNamesToIds(entry.tournament) }
+    })
+    return { ...save, version: 4, library: { ...save.library, tournaments } }
+  }
+}
+
+// Each display name maps to the first roster entry that had it (blank names were
+// shown as P1, P2… by position). The stored schedule key is rewritten the same
+// way so an already generated schedule is still recognised and not rebuilt.
+export function tournamentNamesToIds(t) {
+  const idByName = {}
+  ;(t.roster || []).forEach((p, i) => {
+    const name = p.name.trim() || `P${i + 1}`
+    if (!(name in idByName)) idByName[name] = p.id
+  })
+  const id = (name) => idByName[name] ?? name
+  const mapRounds = (rounds) => (rounds || []).map(r => r.map(m => ({ ...m, A: id(m.A), B: id(m.B) })))
+
+  let generated = t.generated
+  if (generated) {
+    let key = null
+    try {
+      const k = JSON.parse(generated.key)
+      key = JSON.stringify({ ...k, groups: k.groups.map(g => g.map(id)) })
+    } catch {
+      key = null
+    }
+    const diagnostics = generated.diagnostics && {
+      ...generated.diagnostics,
+      attempts: (generated.diagnostics.attempts || []).map(a => ({
+        ...a, short: (a.short || []).map(sp => ({ ...sp, player: id(sp.player) }))
+      }))
+    }
+    generated = { ...generated, key, schedule: mapRounds(generated.schedule), diagnostics }
+  }
+
+  const results = Object.fromEntries(Object.entries(t.results || {}).map(([k, r]) => (
+    [k, { ...r, A: id(r.A), B: id(r.B) }]
+  )))
+  return { ...t, generated, swissRounds: mapRounds(t.swissRounds), results }
+}
+
+export const STATUS_LABELS = { setup: 'Setup', 'in progress': 'In progress', complete: 'Complete' }
+
+export function defaultTournament() {
+  return {
+    name: 'Untitled tournament',
+    date: '', // YYYY-MM-DD
+    division: '',
+    title: '', // scorecard header; blank = name
+    subtitle: '',
+    logo: '', // data URL of an uploaded logo; blank = the default logo
+    status: 'setup', // a key of STATUS_LABELS
+    archived: false,
+    numGroups: 2,
+    numBoards: 3,
+    numRounds: 6,
+    desiredGames: '', // blank = full round robin
+    maxConsecutiveOff: '', // blank = no limit (see offRoundReport in scheduler.js)
+    maxOffPerHalf: '', // blank = no limit
+    roster: buildPlayers(8).map(name => createPlayer({ name })), // see roster.js
+    playMode: 'singles', // 'singles' | 'doubles' | 'mixer'
+    teamDraw: 'fixed', // doubles partners: 'fixed' (teams below) | 'random'
+    teams: [], // fixed partners as [[idA, idB], ...] (see formTeams in scheduler.js)
+    teamSeed: 1, // seed for a random partner draw, or for the mixer's rotation
+    constraints: [], // pairing rules { kind, a, b, round } between roster ids (see scheduler.js)
+    postProcess: [...DEFAULT_POST_PROCESS], // steps run on a generated schedule, in order
+    startTime: '', // HH:MM; blank = no clock times (see timing.js)
+    roundMinutes: 40,
+    changeoverMinutes: 5,
+    breaks: [], // [{ name, afterRound, minutes }]
+    duties: false, // give OFF entrants a board to referee (see duties.js)
+    dutyAvoidOwnGroup: true, // never referee a match of their own group
+    seedingMethod: 'entry',
+    randomSeed: 1,
+    format: 'roundRobin', // 'roundRobin' | 'swiss' | 'playoff' (a bracket-only stage)
+    swissRounds: [],
+    results: {}, // matchKey -> { A, B, games } (see results.js)
+    tieBreakers: TIE_BREAKERS.map(t => ({ id: t.id, on: true })),
+    coinSeed: 1,
+    playoffPerGroup: 0, // 0 = no playoffs
+    playoffType: 'single', // 'single' | 'double'
+    withdrawals: [], // [{ entrant, fromRound }]: out of the event from that round on
+    stage: null, // { eventId, index, label } for one session of a multi-stage event (see stages.js)
+    seedFrom: null, // { entryId, perGroup }: the earlier stage this one is seeded from
+    ranking: null, // current standings, one list of entrant ids per group, for later stages
+    generated: null // { key, schedule, diagnostics } for the round-robin inputs in `key`
+  }
+}
+
+function newId() {
+  return `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+}
+
+export function createEntry(tournament, at = new Date().toISOString()) {
+  return { id: newId(), createdAt: at, updatedAt: at, tournament: { ...defaultTournament(), ...tournament } }
+}
+
+export function emptyLibrary() {
+  const entry = createEntry(defaultTournament())
+  return { activeId: entry.id, tournaments: { [entry.id]: entry } }
+}
+
+function storage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null
+  } catch {
+    return null
+  }
+}
+
+function migrate(save) {
+  let current = save
+  while (current.version < STORAGE_VERSION) {
+    const step = MIGRATIONS[current.version]
+    if (!step) throw new Error(`No migration from storage version ${current.version}`)
+    current = step(current)
+  }
+  return current
+}
+
+export function loadLibrary() {
+  const store = storage()
+  const raw = store?.getItem(STORAGE_KEY)
+  if (!raw) return null
+  try {
+    const save = JSON.parse(raw)
+    if (!save || typeof save.version !== 'number') throw new Error('Not a saved library')
+    if (save.version > STORAGE_VERSION) {
+      throw new Error(`Saved by a newer version (${save.version})`)
+    }
+    const upgraded = migrate(save)
+    if (!upgraded.library || !upgraded.library.tournaments) throw new Error('Not a saved library')
+
+    // Fill in settings added since the save was written.
+    const tournaments = {}
+    Object.values(upgraded.library.tournaments).forEach(entry => {
+      tournaments[entry.id] = { ...entry, tournament: { ...defaultTournament(), ...entry.tournament } }
+    })
+    const activeId = tournaments[upgraded.library.activeId] ? upgraded.library.activeId : null
+    return { savedAt: upgraded.savedAt, library: { activeId, tournaments } }
+  } catch {
+    // Removing the save first leaves room for the backup; without room the app
+    // still starts with an empty library.
+    store.removeItem(STORAGE_KEY)
+    try {
+      store.setItem(BACKUP_KEY, raw)
+    } catch {
+      // the unreadable save is lost
+    }
+    return null
+  }
+}
+
+export function saveLibrary(library) {
+  const store = storage()
+  if (!store) return false
+  try {
+    store.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      savedAt: new Date().toISOString(),
+      library
+    }))
+    return true
+  } catch {
+    return false // usually QuotaExceededError
+  }
+}
@@ -0,0 +1,108 @@
+// =============== SWISS PAIRING ===============
+// Exports used by the app:
+// - matchKey             <-- "round:board" key for per-match entries
+// - swissStandings       <-- match points + Buchholz from paired rounds
+// - pairSwissRound       <-- next round in the same {round, board, A, B, group} shape
+//
+// A round is paired from the current standings: players are ranked by match
+// points, OFF goes to the lowest-ranked player with the fewest OFFs so far, and
+// each score group is paired top half vs bottom half. Odd players float down to
+// the next score group. Rematches are only allowed when no other pairing exists,
+// and never / not-before rules are only broken when even a rematch cannot keep
+// them (checkConstraints then reports it).
+
+import { pairBlocks } from './scheduler.js'
+
+export function matchKey(round, board) {
+  return `${round}:${board}`
+}
+
+// scores: { [matchKey]: { A: points, B: points } } — missing entries count as 0.
+export function swissStandings(players, rounds, scores) {
+  const table = Object.fromEntries(players.map((p, i) => [p, {
+    player: p, seedRank: i, points: 0, played: 0, offs: 0, opponents: [], buchholz: 0
+  }]))
+
+  rounds.forEach(matches => {
+    const playing = new Set()
+    matches.forEach(m => {
+      const s = scores[matchKey(m.round, m.board)] || {}
+      playing.add(m.A); playing.add(m.B)
+      if (table[m.A]) {
+        table[m.A].points += Number(s.A) || 0
+        table[m.A].played++
+        table[m.A].opponents.push(m.B)
+      }
+      if (table[m.B]) {
+        table[m.B].points += Number(s.B) || 0
+        table[m.B].played++
+        table[m.B].opponents.push(m.A)
+      }
+    })
+    players.forEach(p => { if (!playing.has(p)) table[p].offs++ })
+  })
+
+  Object.values(table).forEach(row => {
+    row.buchholz = row.opponents.reduce((sum, o) => sum + (table[o]?.points || 0), 0)
+  })
+
+  return Object.values(table).sort((a, b) =>
+    b.points - a.points || b.buchholz - a.buchholz || a.seedRank - b.seedRank
+  )
+}
+
+// Backtracking pairing of `pool` (already in ranking order). Candidates for the
+// top player are tried Dutch-style: the matching position in the bottom half of
+// their score group first, then the rest of the group, then lower groups.
+function pairPool(pool, points, hasPlayed, allowRematch, budget) {
+  if (!pool.length) return []
+  if (budget.nodes++ > 20000) return null
+
+  const [p, ...rest] = pool
+  const same = rest.filter(q => points[q] === points[p])
+  const half = Math.floor((same.length + 1) / 2)
+  const start = Math.max(0, half - 1)
+  const sameOrder = same.slice(start).concat(same.slice(0, start).reverse())
+  const others = rest.filter(q => points[q] !== points[p])
+
+  for (const q of sameOrder.concat(others)) {
+    if (!allowRematch && hasPlayed(p, q)) continue
+    const sub = pairPool(rest.filter(x => x !== q), points, hasPlayed, allowRematch, budget)
+    if (sub) return [[p, q], ...sub]
+  }
+  return null
+}
+
+// Pair round `roundNumber` (1-based) for `players` given the rounds played so far.
+// At most `boards` matches are made; everyone else is OFF.
+// options: { constraints } — the pairing rules (see pairBlocks).
+export function pairSwissRound(players, rounds, scores, boards, roundNumber, options = {}) {
+  boards = Math.max(1, Number(boards) || 1)
+  const standings = swissStandings(players, rounds, scores)
+  const points = Object.fromEntries(standings.map(r => [r.player, r.points]))
+
+  const met = new Set()
+  rounds.flat().forEach(m => { met.add(`${m.A}|${m.B}`); met.add(`${m.B}|${m.A}`) })
+  const hasPlayed = (p, q) => met.has(`${p}|${q}`)
+  const canPair = pairBlocks(options.constraints)
+  const ruledOut = (p, q) => !canPair(p, q, roundNumber)
+
+  const playing = Math.min(boards, Math.floor(players.length / 2)) * 2
+  const offCount = players.length - playing
+
+  // OFF: fewest OFFs so far, then lowest ranked.
+  const offOrder = standings
+    .map((r, rank) => ({ ...r, rank }))
+    .sort((a, b) => a.offs - b.offs || b.rank - a.rank)
+  const off = new Set(offOrder.slice(0, offCount).map(r => r.player))
+
+  const pool = standings.map(r => r.player).filter(p => !off.has(p))
+  const pairs =
+    pairPool(pool, points, (p, q) => hasPlayed(p, q) || ruledOut(p, q), false, { nodes: 0 }) ||
+    pairPool(pool, points, ruledOut, false, { nodes: 0 }) ||
+    pairPool(pool, points, hasPlayed, false, { nodes: 0 }) ||
+    pairPool(pool, points, hasPlayed, true, { nodes: 0 }) ||
+    []
+
+  return pairs.map(([A, B], i) => ({ round: roundNumber, board: i + 1, A, B, group: 1 }))
+}
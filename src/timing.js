@@ -0,0 +1,57 @@
+// =============== ROUND TIMES ===============
+// Exports used by the app:
+// - parseClock / formatClock  <-- "HH:MM" <-> minutes after midnight
+// - roundTimes                <-- clock times per round, with named breaks in between
+//
+// Rounds run back to back: each lasts roundMinutes and the next starts after a
+// changeover of changeoverMinutes. A break { name, afterRound, minutes } starts
+// when round `afterRound` ends and replaces that changeover; afterRound 0 puts it
+// before round 1.
+
+export function parseClock(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim())
+  if (!m) return null
+  const h = Number(m[1]), min = Number(m[2])
+  return h < 24 && min < 60 ? h * 60 + min : null
+}
+
+export function formatClock(minutes) {
+  const m = ((Math.round(minutes) % 1440) + 1440) % 1440
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`
+}
+
+const minutesOf = (v) => Math.max(0, Number(v) || 0)
+
+// options: { startTime, roundMinutes, changeoverMinutes, breaks }
+// Returns null while startTime is blank or not a clock time, else
+// { rounds: [{ round, start, end }], breaks: [{ name, afterRound, start, end }] }
+// with "HH:MM" strings; breaks after the last round are dropped.
+export function roundTimes(totalRounds, options = {}) {
+  const { startTime, roundMinutes, changeoverMinutes, breaks = [] } = options
+  const start = parseClock(startTime)
+  if (start === null) return null
+  const n = Math.max(0, Number(totalRounds) || 0)
+  const length = minutesOf(roundMinutes)
+  const changeover = minutesOf(changeoverMinutes)
+  const breaksAfter = (r) => breaks.filter(b => Math.floor(Number(b.afterRound) || 0) === r)
+
+  const rounds = []
+  const placed = []
+  let clock = start
+  const addBreaks = (r) => {
+    const list = breaksAfter(r)
+    list.forEach(b => {
+      placed.push({ name: b.name || 'Break', afterRound: r, start: formatClock(clock), end: formatClock(clock + minutesOf(b.minutes)) })
+      clock += minutesOf(b.minutes)
+    })
+    return list.length > 0
+  }
+
+  addBreaks(0)
+  for (let r = 1; r <= n; r++) {
+    rounds.push({ round: r, start: formatClock(clock), end: formatClock(clock + length) })
+    clock += length
+    if (r < n && !addBreaks(r)) clock += changeover
+  }
+  return { rounds, breaks: placed }
+}
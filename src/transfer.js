@@ -0,0 +1,290 @@
+// =============== TOURNAMENT FILES (JSON export / import) ===============
+// Exports used by the app:
+// - FILE_FORMAT, FILE_VERSION
+// - exportTournament     <-- self-describing document for one tournament
+// - importTournament     <-- validate a document; { ok, tournament } or { ok: false, errors }
+//
+// The document carries the settings (including the roster), the player list and
+// groups as they were drawn, the schedule exactly as printed (after board rebalancing) and every
+// entered result, so the receiving laptop never re-runs buildGlobalSchedule.
+
+import { defaultTournament, tournamentNamesToIds } from './storage.js'
+import { GAMES_PER_MATCH } from './results.js'
+import { matchKey } from './swiss.js'
+import { rosterFromLegacy } from './roster.js'
+import { formTeams, teamMembers } from './scheduler.js'
+
+export const FILE_FORMAT = 'crokinole-tournament'
+export const FILE_VERSION = 3
+
+// Fields that are derived state rather than settings.
+const NON_SETTINGS = ['generated', 'swissRounds', 'results', 'ranking']
+
+export function exportTournament(tournament, { players, groups, schedule }) {
+  const settings = Object.fromEntries(
+    Object.entries(tournament).filter(([k]) => !NON_SETTINGS.includes(k))
+  )
+  return {
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    players,
+    groups,
+    schedule: {
+      rounds: schedule,
+      key: tournament.generated ? tournament.generated.key : null,
+      diagnostics: tournament.generated ? tournament.generated.diagnostics : null
+    },
+    results: scheduledResults(tournament.results, schedule)
+  }
+}
+
+// Results are kept for pairings that are no longer scheduled (see resultFor in
+// results.js); only those for the exported schedule go in the file.
+function scheduledResults(results = {}, rounds) {
+  const byKey = matchesByKey(rounds)
+  return Object.fromEntries(Object.entries(results).filter(([key, r]) => samePairing(byKey.get(key), r)))
+}
+
+const matchesByKey = (rounds) => new Map(rounds.flat().map(m => [matchKey(m.round, m.board), m]))
+const samePairing = (m, r) => !!m && ((r.A === m.A && r.B === m.B) || (r.A === m.B && r.B === m.A))
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+// Number inputs keep what was typed, so a numeric field may be a string.
+const isNumeric = (v) => (typeof v === 'number' || typeof v === 'string') && Number.isFinite(Number(v))
+const isRoster = (v) => Array.isArray(v) && v.every(p => isObject(p) && typeof p.id === 'string' && typeof p.name === 'string')
+const ROSTER_ERROR = 'settings.roster must be a list of { id, name } players.'
+const isIdPair = (v) => Array.isArray(v) && v.length === 2 && v.every(id => typeof id === 'string')
+
+// Numeric settings whose default is blank ('' = no target / no limit).
+const BLANK_OR_NUMBER = ['desiredGames', 'maxConsecutiveOff', 'maxOffPerHalf']
+
+// What the entries of each list setting must be.
+const LIST_ENTRIES = {
+  teams: ['a pair of player ids', isIdPair],
+  constraints: ['a pairing rule', isObject],
+  postProcess: ['a step name', (v) => typeof v === 'string'],
+  breaks: ['a break', isObject],
+  tieBreakers: ['a tie-breaker', isObject],
+  withdrawals: ['a withdrawal', isObject]
+}
+
+function checkSettings(settings, errors) {
+  if (!isObject(settings)) {
+    errors.push('settings must be an object.')
+    return
+  }
+  const defaults = defaultTournament()
+  Object.entries(settings).forEach(([k, v]) => {
+    if (!(k in defaults)) return // from a newer release; ignored on import
+    const d = defaults[k]
+    if (d === null || v === '' || v === null) return
+    if (typeof d === 'number' || BLANK_OR_NUMBER.includes(k)) {
+      if (!isNumeric(v)) errors.push(`settings.${k} should be a number, not ${JSON.stringify(v)}.`)
+      return
+    }
+    if (Array.isArray(d) !== Array.isArray(v) || typeof d !== typeof v) {
+      errors.push(`settings.${k} should be ${Array.isArray(d) ? 'a list' : `a ${typeof d}`}.`)
+      return
+    }
+    if (LIST_ENTRIES[k]) {
+      const [what, ok] = LIST_ENTRIES[k]
+      const bad = v.findIndex(e => !ok(e))
+      if (bad >= 0) errors.push(`settings.${k}[${bad}] should be ${what}.`)
+    }
+  })
+  if (settings.format && !['roundRobin', 'swiss', 'playoff'].includes(settings.format)) {
+    errors.push(`settings.format "${settings.format}" is not a known format.`)
+  }
+  if (settings.playMode && !['singles', 'doubles', 'mixer'].includes(settings.playMode)) {
+    errors.push(`settings.playMode "${settings.playMode}" is not a known mode.`)
+  }
+}
+
+// Who may appear in the schedule: roster ids in singles and the mixer (whose sides
+// are checked player by player), the drawn teams in doubles.
+function scheduledEntrants(settings, roster) {
+  if (settings.playMode !== 'doubles') return roster
+  const names = Object.fromEntries(roster.map(p => [p.id, p.name]))
+  const { teams } = formTeams(roster.map(p => p.id), {
+    method: settings.teamDraw,
+    pairs: Array.isArray(settings.teams) ? settings.teams.filter(isIdPair) : [],
+    randomSeed: settings.teamSeed
+  })
+  return teams.map(t => ({ id: t.id, name: t.members.map(id => names[id]).join(' & ') }))
+}
+
+function checkSchedule(rounds, entrants, errors, membersOf = (side) => [side]) {
+  if (!Array.isArray(rounds)) {
+    errors.push('schedule.rounds must be a list of rounds.')
+    return
+  }
+  const names = Object.fromEntries(entrants.map(p => [p.id, p.name]))
+  const known = new Set(entrants.map(p => p.id))
+  rounds.forEach((round, ri) => {
+    if (!Array.isArray(round)) {
+      errors.push(`schedule.rounds[${ri}] must be a list of matches.`)
+      return
+    }
+    const seen = new Set()
+    round.forEach((m, mi) => {
+      const where = `Round ${ri + 1}, match ${mi + 1}`
+      if (!isObject(m)) { errors.push(`${where} is not a match.`); return }
+      if (m.round !== ri + 1) errors.push(`${where} says round ${m.round}.`)
+      if (!Number.isInteger(m.board) || m.board < 1) errors.push(`${where} has no valid board number.`)
+      ;['A', 'B'].forEach(side => {
+        if (typeof m[side] !== 'string' || !m[side]) {
+          errors.push(`${where} is missing player ${side}.`)
+          return
+        }
+        membersOf(m[side]).forEach(id => {
+          if (!known.has(id)) errors.push(`${where}: "${id}" is not a player or team in this tournament.`)
+          else if (seen.has(id)) errors.push(`${where}: "${names[id] || id}" plays twice in this round.`)
+          seen.add(id)
+        })
+      })
+    })
+  })
+}
+
+// Every result must belong to a scheduled match (when the schedule itself is valid)
+// and hold GAMES_PER_MATCH games with blank or numeric fields.
+function checkResults(results, rounds, errors) {
+  if (!isObject(results)) {
+    errors.push('results must be an object keyed by "round:board".')
+    return
+  }
+  const byKey = Array.isArray(rounds) && rounds.every(r => Array.isArray(r) && r.every(isObject))
+    ? matchesByKey(rounds)
+    : null
+  Object.entries(results).forEach(([key, r]) => {
+    if (!/^\d+:\d+$/.test(key)) errors.push(`results key "${key}" is not "round:board".`)
+    if (!isObject(r) || typeof r.A !== 'string' || typeof r.B !== 'string') {
+      errors.push(`results["${key}"] must name players A and B.`)
+      return
+    }
+    if (byKey && !samePairing(byKey.get(key), r)) {
+      errors.push(`results["${key}"] is not for a match in the schedule.`)
+    }
+    if (!Array.isArray(r.games) || r.games.length !== GAMES_PER_MATCH) {
+      errors.push(`results["${key}"] needs ${GAMES_PER_MATCH} games.`)
+    } else if (r.games.some(g => !isObject(g) || GAME_FIELDS.some(f => !(g[f] === '' || g[f] == null || isNumeric(g[f]))))) {
+      errors.push(`results["${key}"] has a game that is not points and 20s.`)
+    }
+  })
+}
+
+const GAME_FIELDS = ['pointsA', 'pointsB', 'twentiesA', 'twentiesB']
+
+// Older files are upgraded before they are checked, and the upgrades read these
+// fields as they are, so their shapes are checked first.
+function checkUpgradable(doc, errors) {
+  const s = doc.settings
+  if (!isObject(s)) {
+    errors.push('settings must be an object.')
+    return
+  }
+  if (doc.version < 2) {
+    if (s.namesText != null && typeof s.namesText !== 'string') errors.push('settings.namesText should be text.')
+    if (s.numPlayers != null && !isNumeric(s.numPlayers)) errors.push('settings.numPlayers should be a number.')
+    if (s.playerDetails != null && (!isObject(s.playerDetails) || !Object.values(s.playerDetails).every(isObject))) {
+      errors.push('settings.playerDetails should map names to player details.')
+    }
+  } else if (!isRoster(s.roster)) {
+    errors.push(ROSTER_ERROR)
+  }
+  if (!isObject(doc.schedule)) errors.push('schedule is missing.')
+  else if (!Array.isArray(doc.schedule.rounds) || !doc.schedule.rounds.every(r => Array.isArray(r) && r.every(isObject))) {
+    errors.push('schedule.rounds must be a list of rounds of matches.')
+  }
+  if (doc.results != null && (!isObject(doc.results) || !Object.values(doc.results).every(isObject))) {
+    errors.push('results must be an object of match results keyed by "round:board".')
+  }
+}
+
+// Accepts the parsed JSON (or the raw text) of an exported file.
+export function importTournament(input) {
+  let doc = input
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input)
+    } catch (err) {
+      return { ok: false, errors: [`Not valid JSON: ${err.message}`] }
+    }
+  }
+
+  if (!isObject(doc) || doc.format !== FILE_FORMAT) {
+    return { ok: false, errors: ['This is not a crokinole tournament file.'] }
+  }
+  if (typeof doc.version !== 'number' || doc.version > FILE_VERSION) {
+    return { ok: false, errors: [`File version ${doc.version} is newer than this app understands (${FILE_VERSION}).`] }
+  }
+
+  if (doc.version < 3) {
+    const errors = []
+    checkUpgradable(doc, errors)
+    if (errors.length) return { ok: false, errors }
+  }
+
+  // Anything the checks below still miss must not take the app down with it.
+  try {
+    return checkAndRead(upgrade(doc))
+  } catch (err) {
+    return { ok: false, errors: [`This file could not be read: ${err.message}`] }
+  }
+}
+
+function upgrade(doc) {
+  // Version 1 files kept players as a names box + count instead of a roster.
+  if (doc.version < 2) {
+    const { namesText, numPlayers, playerDetails, ...rest } = doc.settings
+    doc = { ...doc, settings: { ...rest, roster: rosterFromLegacy(namesText, numPlayers, playerDetails) } }
+  }
+  // Before version 3 the schedule and results named players instead of using ids.
+  if (doc.version < 3) {
+    const upgraded = tournamentNamesToIds({
+      roster: doc.settings.roster,
+      generated: { key: doc.schedule.key, schedule: doc.schedule.rounds, diagnostics: doc.schedule.diagnostics },
+      swissRounds: [],
+      results: doc.results
+    })
+    doc = {
+      ...doc,
+      players: (doc.settings.roster || []).map(p => ({ ...p })),
+      schedule: { key: upgraded.generated.key, rounds: upgraded.generated.schedule, diagnostics: upgraded.generated.diagnostics },
+      results: upgraded.results
+    }
+  }
+  return doc
+}
+
+function checkAndRead(doc) {
+  const errors = []
+  checkSettings(doc.settings, errors)
+  const roster = isObject(doc.settings) && isRoster(doc.settings.roster) ? doc.settings.roster : null
+  if (!roster) errors.push(ROSTER_ERROR)
+  if (!Array.isArray(doc.players)) errors.push('players must be a list.')
+  if (!Array.isArray(doc.groups) || doc.groups.some(g => !Array.isArray(g))) {
+    errors.push('groups must be a list of player lists.')
+  }
+  if (!isObject(doc.schedule)) errors.push('schedule is missing.')
+  else if (roster) {
+    const membersOf = doc.settings.playMode === 'mixer' ? teamMembers : undefined
+    checkSchedule(doc.schedule.rounds, scheduledEntrants(doc.settings, roster), errors, membersOf)
+  }
+  checkResults(doc.results ?? {}, isObject(doc.schedule) ? doc.schedule.rounds : null, errors)
+  if (errors.length) return { ok: false, errors }
+
+  const settings = { ...defaultTournament(), ...doc.settings }
+  const rounds = doc.schedule.rounds
+  const tournament = {
+    ...settings,
+    swissRounds: settings.format === 'swiss' ? rounds : [],
+    generated: settings.format === 'swiss'
+      ? null
+      : { key: doc.schedule.key, schedule: rounds, diagnostics: doc.schedule.diagnostics },
+    results: doc.results ?? {}
+  }
+  return { ok: true, tournament }
+}